@@ -2,8 +2,14 @@
 import express from "express";
 import { createClient } from "@supabase/supabase-js";
 import twilio from "twilio";
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
 import WebSocket, { WebSocketServer } from "ws";
 import fetch from "node-fetch";
+import client from "prom-client";
 
 //────────────────────────────────────────────────────────────────────────────────
 // 0) HELPERS
@@ -17,49 +23,290 @@ function normalizePhone(phone = "") {
   return digits;
 }
 
+function escapeXml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
 function wantsHumanFromText(text = "") {
-  return /(operator|representative|human|real person|agent|someone|talk to a person|call me)/i.test(text);
+  return /(operator|representative|human|real person|agent|someone|talk to a person|call me|operador|persona real|atendente|pessoa de verdade)/i.test(text);
 }
 
-function looksLikeYes(text = "") {
-  return /^(yes|yeah|yep|yup|correct|right|that's right|thats right|affirmative|sure|ok|okay|mhm|uh huh)\b/i.test(text.trim());
+// \b is ASCII-only in JS, so "sí"/"não" need their own end-of-word check
+const YES_NO_END = "(?=$|[\\s,.!?;:])";
+const YES_PATTERNS = {
+  en: /^(yes|yeah|yep|yup|correct|right|that's right|thats right|affirmative|sure|ok|okay|mhm|uh huh)\b/i,
+  es: new RegExp(`^(sí|si|claro|correcto|exacto|así es|asi es|eso es|de acuerdo|vale|ok|okay|bueno|ajá)${YES_NO_END}`, "i"),
+  pt: new RegExp(`^(sim|isso|isso mesmo|certo|correto|claro|exato|é|pode ser|ok|okay|tá|está certo)${YES_NO_END}`, "i"),
+};
+const NO_PATTERNS = {
+  en: /^(no|nope|not really|nah|wrong|incorrect)\b/i,
+  es: new RegExp(`^(no|nop|incorrecto|está mal|esta mal|para nada)${YES_NO_END}`, "i"),
+  pt: new RegExp(`^(não|nao|errado|incorreto|de jeito nenhum)${YES_NO_END}`, "i"),
+};
+
+function looksLikeYes(text = "", lang = "en") {
+  const t = text.trim();
+  return YES_PATTERNS.en.test(t) || (lang !== "en" && Boolean(YES_PATTERNS[lang]?.test(t)));
 }
 
-function looksLikeNo(text = "") {
-  return /^(no|nope|not really|nah|wrong|incorrect)\b/i.test(text.trim());
+function looksLikeNo(text = "", lang = "en") {
+  const t = text.trim();
+  return NO_PATTERNS.en.test(t) || (lang !== "en" && Boolean(NO_PATTERNS[lang]?.test(t)));
 }
 
-// NEW: Preprocess text to replace "o" with "0" for number extraction
-function normalizeNumberText(text = "") {
-  // Replace letter O with zero when it appears in number contexts
-  // "oh" or "o" followed by digits or spaces between digits
-  return String(text)
-    .replace(/\boh\b/gi, "0")  // "oh" -> "0"
-    .replace(/\bo\b/gi, "0");   // "o" -> "0"
+// Interim speech counts as a barge-in only if it has a real word (not just "uh"/"um")
+function isBargeInSpeech(text = "") {
+  const words = String(text).toLowerCase().replace(/[^\w\s]/g, " ").split(/\s+/).filter(Boolean);
+  return words.some((w) => /\d/.test(w) || (w.length >= 2 && !/^(uh|um|umm|uhh|hmm|mm|mhm|ah|er)$/.test(w)));
 }
 
-function extractZip(text = "") {
-  // NEW: Normalize o/oh to 0 first
-  const normalized = normalizeNumberText(text);
-  const m = normalized.match(/\b(\d{5})(?:-\d{4})?\b/);
-  return m ? m[1] : "";
+const DIGIT_WORDS = {
+  zero: "0", oh: "0", o: "0",
+  one: "1", two: "2", three: "3", four: "4", five: "5",
+  six: "6", seven: "7", eight: "8", nine: "9",
+};
+
+const TEEN_WORDS = {
+  ten: "10", eleven: "11", twelve: "12", thirteen: "13", fourteen: "14",
+  fifteen: "15", sixteen: "16", seventeen: "17", eighteen: "18", nineteen: "19",
+};
+
+const TENS_WORDS = {
+  twenty: "2", thirty: "3", forty: "4", fifty: "5", sixty: "6", seventy: "7", eighty: "8", ninety: "9",
+};
+
+const REPEAT_WORDS = { double: 2, triple: 3 };
+
+// Digits as Spanish/Portuguese callers say them ("meia" is six in Brazilian phone numbers)
+const LOCALIZED_DIGIT_WORDS = {
+  es: { cero: "0", uno: "1", una: "1", dos: "2", tres: "3", cuatro: "4", cinco: "5", seis: "6", siete: "7", ocho: "8", nueve: "9" },
+  pt: { zero: "0", um: "1", uma: "1", dois: "2", duas: "2", "três": "3", tres: "3", quatro: "4", cinco: "5", seis: "6", meia: "6", sete: "7", oito: "8", nove: "9" },
+};
+
+// Said between digits without meaning the number is over
+const DIGIT_FILLER_WORDS = new Set(["uh", "um", "umm", "er", "and", "dash", "hyphen", "then"]);
+
+// "two one — sorry, two two": the digits after the marker replace the ones before it
+const DIGIT_CORRECTION_RE = /\b(sorry|i mean|i meant|no wait|wait|actually|scratch that|correction|let me try again)\b/gi;
+const DIGIT_RESTART_RE = /\b(start over|from the top|let me start again)\b/gi;
+
+// Overwrites the tail of `before` with `after` (same number of digits)
+function applyDigitCorrection(before = "", after = "") {
+  const n = Math.min(before.length, after.length);
+  return before.slice(0, before.length - n) + after;
 }
 
-function extractPhone(text = "") {
-  // NEW: Normalize o/oh to 0 first
-  const normalized = normalizeNumberText(text);
-  const digits = normalized.replace(/\D/g, "");
+/**
+ * Turns a spoken/transcribed utterance into runs of digits.
+ * Handles digits, number words ("zero two one"), "oh", teens/tens ("six seventeen"),
+ * "X hundred", double/triple, and self-corrections. A run ends at any word that
+ * isn't part of a number.
+ * Returns { runs: string[], correctsPrevious, restarts, numberWords } — correctsPrevious means
+ * the utterance opened with a correction ("sorry, two two") aimed at earlier digits.
+ * With `digitsOnly` (phone numbers), any multi-digit number word ("ten", "sixty",
+ * "eight hundred") voids the whole utterance: runs comes back empty and numberWords is set.
+ */
+function parseSpokenNumber(text = "", lang = "en", { digitsOnly = false } = {}) {
+  const digitWords = lang === "en" ? DIGIT_WORDS : { ...DIGIT_WORDS, ...LOCALIZED_DIGIT_WORDS[lang] };
+  const marked = String(text)
+    .toLowerCase()
+    .replace(DIGIT_RESTART_RE, " __restart__ ")
+    .replace(DIGIT_CORRECTION_RE, " __fix__ ");
+  const tokens = marked.replace(/[^a-z0-9_à-ÿ]+/g, " ").split(/\s+/).filter(Boolean);
   
-  if (digits.length === 10) {
-    return digits;
-  }
-  if (digits.length === 11 && digits.startsWith("1")) {
-    return digits.substring(1);
+  const runs = [];
+  let current = null;
+  let correctNext = false;
+  let correctsPrevious = false;
+  let restarts = false;
+  let numberWords = false;
+  
+  const closeRun = () => {
+    if (!current) return;
+    // A lone "oh" is an interjection, not a zero
+    if (!current.onlyOh && current.digits) {
+      if (current.isCorrection && runs.length) {
+        runs[runs.length - 1] = applyDigitCorrection(runs[runs.length - 1], current.digits);
+      } else {
+        if (current.isCorrection) correctsPrevious = true;
+        runs.push(current.digits);
+      }
+    }
+    current = null;
+  };
+  
+  const emit = (digits, isOh = false) => {
+    if (!current) {
+      current = { digits: "", onlyOh: true, isCorrection: correctNext };
+      correctNext = false;
+    }
+    current.digits += digits;
+    if (!isOh) current.onlyOh = false;
+  };
+  
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const next = tokens[i + 1];
+    
+    if (tok === "__restart__") {
+      closeRun();
+      runs.length = 0;
+      restarts = true;
+      continue;
+    }
+    if (tok === "__fix__") {
+      closeRun();
+      correctNext = true;
+      continue;
+    }
+    if (/^\d+$/.test(tok)) {
+      emit(tok);
+      continue;
+    }
+    if (tok in REPEAT_WORDS && next in digitWords) {
+      emit(digitWords[next].repeat(REPEAT_WORDS[tok]), next === "oh" || next === "o");
+      i++;
+      continue;
+    }
+    const multiDigitWord = tok in TEEN_WORDS || tok in TENS_WORDS || (tok in digitWords && (next === "hundred" || next === "thousand"));
+    if (digitsOnly && multiDigitWord) {
+      numberWords = true;
+      closeRun();
+      continue;
+    }
+    if (tok in digitWords) {
+      if (next === "thousand" && tok !== "oh" && tok !== "o" && tok !== "zero") {
+        // Years: "two thousand eight" -> 2008, "two thousand and fifteen" -> 2015
+        let j = i + 2;
+        if (tokens[j] === "and") j++;
+        const after = tokens[j];
+        if (after in TEEN_WORDS) {
+          emit(`${digitWords[tok]}0${TEEN_WORDS[after]}`);
+          i = j;
+        } else if (after in TENS_WORDS) {
+          const unit = tokens[j + 1] in digitWords && !["oh", "o", "zero"].includes(tokens[j + 1]) ? digitWords[tokens[j + 1]] : "0";
+          emit(`${digitWords[tok]}0${TENS_WORDS[after]}${unit}`);
+          i = unit === "0" ? j : j + 1;
+        } else if (after in digitWords && !["oh", "o", "zero"].includes(after)) {
+          emit(`${digitWords[tok]}00${digitWords[after]}`);
+          i = j;
+        } else {
+          emit(`${digitWords[tok]}000`);
+          i += 1;
+        }
+        continue;
+      }
+      if (next === "hundred" &&tok !== "oh" && tok !== "o" && tok !== "zero") {
+        // "eight hundred" -> 800, "five hundred twelve" -> 512
+        const after = tokens[i + 2];
+        const afterNext = tokens[i + 3];
+        if (after in TEEN_WORDS) {
+          emit(digitWords[tok] + TEEN_WORDS[after]);
+          i += 2;
+        } else if (after in TENS_WORDS) {
+          const unit = afterNext in digitWords && !["oh", "o", "zero"].includes(afterNext) ? digitWords[afterNext] : "0";
+          emit(digitWords[tok] + TENS_WORDS[after] + unit);
+          i += unit === "0" ? 2 : 3;
+        } else {
+          emit(`${digitWords[tok]}00`);
+          i += 1;
+        }
+        continue;
+      }
+      emit(digitWords[tok], tok === "oh" || tok === "o");
+      continue;
+    }
+    if (tok in TEEN_WORDS) {
+      emit(TEEN_WORDS[tok]);
+      continue;
+    }
+    if (tok in TENS_WORDS) {
+      if (next in digitWords && !["oh", "o", "zero"].includes(next)) {
+        emit(TENS_WORDS[tok] + digitWords[next]);
+        i++;
+      } else {
+        emit(`${TENS_WORDS[tok]}0`);
+      }
+      continue;
+    }
+    if (current && DIGIT_FILLER_WORDS.has(tok)) continue;
+    
+    closeRun();
   }
+  closeRun();
   
+  // "One two three … ten" is counting, not a phone number
+  if (numberWords) return { runs: [], correctsPrevious: false, restarts, numberWords };
+  return { runs, correctsPrevious, restarts, numberWords };
+}
+
+function findZipInRuns(runs = []) {
+  for (const run of runs) {
+    if (run.length === 5) return run;
+    if (run.length === 9) return run.substring(0, 5); // ZIP+4
+  }
+  return "";
+}
+
+function toTenDigitPhone(digits = "") {
+  if (digits.length === 10) return digits;
+  if (digits.length === 11 && digits.startsWith("1")) return digits.substring(1);
+  return "";
+}
+
+function findPhoneInRuns(runs = []) {
+  // Phone numbers often get split by a stray word ("617, it's 555 1234")
+  const joined = toTenDigitPhone(runs.join(""));
+  if (joined) return joined;
+  for (const run of runs) {
+    const p = toTenDigitPhone(run);
+    if (p) return p;
+  }
   return "";
 }
 
+function extractZip(text = "", lang = "en") {
+  return findZipInRuns(parseSpokenNumber(text, lang).runs);
+}
+
+function extractPhone(text = "", lang = "en") {
+  return findPhoneInRuns(parseSpokenNumber(text, lang, { digitsOnly: true }).runs);
+}
+
+/**
+ * Builds up a ZIP ("zip") or phone number ("phone") across utterances.
+ * `buffer` holds digits heard so far; returns { value, buffer } where value is
+ * set once the number is complete and buffer is what to keep for next time.
+ * Phone numbers only take digits said one at a time; an answer with "ten" or
+ * "sixty" in it is ignored and comes back with numberWords set.
+ */
+function collectSpokenDigits(buffer = "", text = "", kind = "zip", lang = "en") {
+  const need = kind === "zip" ? 5 : 10;
+  const parsed = parseSpokenNumber(text, lang, { digitsOnly: kind === "phone" });
+  
+  const whole = kind === "zip" ? findZipInRuns(parsed.runs) : findPhoneInRuns(parsed.runs);
+  if (whole) return { value: whole, buffer: "" };
+  
+  const digits = parsed.runs.join("");
+  const base = parsed.restarts ? "" : buffer;
+  if (parsed.numberWords) return { value: "", buffer: base, numberWords: true };
+  // "No" to "I got 0 2 1 so far" means what we have is wrong
+  if (!digits) return { value: "", buffer: looksLikeNo(text, lang) ? "" : base };
+  
+  let combined = parsed.correctsPrevious ? applyDigitCorrection(base, digits) : base + digits;
+  if (kind === "phone" && combined.length === 11 && combined.startsWith("1")) combined = combined.substring(1);
+  
+  if (combined.length === need) return { value: combined, buffer: "" };
+  // Too many digits: assume they started over with this utterance
+  if (combined.length > need) return { value: "", buffer: digits.length < need ? digits : "" };
+  return { value: "", buffer: combined };
+}
+
 function extractName(text = "") {
   const original = String(text).trim();
   
@@ -69,6 +316,7 @@ function extractName(text = "") {
   
   const patterns = [
     /(?:my name is|my name's|this is|i'm|im|i am|it'?s|call me|they call me)\s+([a-z]{2,}(?:\s+[a-z]+)?)\b/i,
+    /(?:me llamo|mi nombre es|soy|habla|meu nome é|meu nome e|me chamo|sou o|sou a|aqui é|aqui e)\s+([a-zà-ÿ]{2,}(?:\s+[a-zà-ÿ]+)?)(?=$|[^a-zà-ÿ])/i,
   ];
   
   for (const pattern of patterns) {
@@ -81,7 +329,7 @@ function extractName(text = "") {
     }
   }
   
-  const cleaned = original.replace(/[^a-zA-Z\s]/g, '').trim();
+  const cleaned = original.replace(/[^a-zA-ZÀ-ÿ\s]/g, '').trim();
   const words = cleaned.split(/\s+/).filter(w => w.length >= 2);
   
   if (words.length === 1 && words[0].length >= 2 && words[0].length <= 15) {
@@ -102,8 +350,17 @@ function extractName(text = "") {
 }
 
 function extractCarYear(text = "") {
-  const m = String(text).match(/\b(19\d{2}|20[0-2]\d)\b/);
-  return m ? m[1] : "";
+  const maxYear = new Date().getFullYear() + 1;
+  const plausible = (y) => y >= 1950 && y <= maxYear;
+  
+  const m = String(text).match(/\b(19\d{2}|20\d{2})\b/);
+  if (m && plausible(Number(m[1]))) return m[1];
+  
+  // Spoken years: "twenty sixteen", "nineteen ninety eight", "two thousand eight"
+  for (const run of parseSpokenNumber(text).runs) {
+    if (run.length === 4 && plausible(Number(run))) return run;
+  }
+  return "";
 }
 
 function extractCarMakeModel(text = "") {
@@ -135,42 +392,248 @@ function extractCarMakeModel(text = "") {
   return "";
 }
 
-function speakZipDigits(zip = "") {
-  return String(zip)
+const NATO_LETTERS = {
+  alpha: "A", alfa: "A", bravo: "B", charlie: "C", delta: "D", echo: "E", foxtrot: "F", fox: "F",
+  golf: "G", hotel: "H", india: "I", juliet: "J", juliett: "J", kilo: "K", lima: "L", mike: "M",
+  november: "N", oscar: "O", papa: "P", quebec: "Q", romeo: "R", sierra: "S", tango: "T",
+  uniform: "U", victor: "V", whiskey: "W", xray: "X", yankee: "Y", zulu: "Z",
+};
+
+// Letters never used in a VIN, read as the digit they're usually mistaken for
+const VIN_LOOKALIKES = { I: "1", O: "0", Q: "0" };
+
+/**
+ * Pulls VIN characters out of a spoken or typed utterance. Understands
+ * "1 H G", "one h g", "H as in hotel", NATO words and pasted VINs.
+ */
+function parseSpokenVin(text = "") {
+  const tokens = String(text)
+    .toLowerCase()
+    .replace(/'/g, "")
+    .replace(/\bx-ray\b/g, "xray")
+    .replace(/\b([a-z]) (?:as in|like) [a-z]+\b/g, "$1")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  
+  // Ignore everything before "vin is" / "the vin" so "my vin is..." doesn't add M and Y
+  const vinAt = tokens.lastIndexOf("vin");
+  const start = vinAt >= 0 && vinAt < tokens.length - 1 ? vinAt + 1 : 0;
+  
+  let chars = "";
+  for (let i = start; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const next = tokens[i + 1];
+    if (["is", "its", "number", "uh", "um", "then", "dash"].includes(tok)) continue;
+    if (tok in REPEAT_WORDS && next) {
+      const one = next in DIGIT_WORDS ? DIGIT_WORDS[next] : next.length === 1 ? next : "";
+      if (one) {
+        chars += one.repeat(REPEAT_WORDS[tok]);
+        i++;
+        continue;
+      }
+    }
+    if (tok in DIGIT_WORDS) chars += DIGIT_WORDS[tok];
+    else if (tok in NATO_LETTERS) chars += NATO_LETTERS[tok];
+    else if (tok.length === 1 || /\d/.test(tok) || tok.length === 17) chars += tok;
+  }
+  
+  return chars
+    .toUpperCase()
+    .split("")
+    .map((c) => VIN_LOOKALIKES[c] || c)
+    .join("");
+}
+
+const VIN_TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// North American check digit (position 9)
+function isValidVin(vin = "") {
+  if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) return false;
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const c = vin[i];
+    const value = /\d/.test(c) ? Number(c) : VIN_TRANSLITERATION[c];
+    sum += value * VIN_WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return vin[8] === (remainder === 10 ? "X" : String(remainder));
+}
+
+// TTS reads "0" as "oh" in English, so spell it out
+const ZERO_WORD = { en: "zero", es: "cero", pt: "zero" };
+
+function speakDigits(digits = "", lang = "en") {
+  return String(digits)
     .split("")
-    .map((d) => (d === "0" ? "zero" : d))
+    .map((d) => (d === "0" ? ZERO_WORD[lang] || "zero" : d))
     .join(" ");
 }
 
-function speakPhoneDigits(phone = "") {
+function speakZipDigits(zip = "", lang = "en") {
+  return speakDigits(zip, lang);
+}
+
+function speakPhoneDigits(phone = "", lang = "en") {
   const digits = String(phone).replace(/\D/g, "");
   if (digits.length !== 10) return phone;
   
-  const part1 = digits.substring(0, 3).split("").map(d => d === "0" ? "zero" : d).join(" ");
-  const part2 = digits.substring(3, 6).split("").map(d => d === "0" ? "zero" : d).join(" ");
-  const part3 = digits.substring(6, 10).split("").map(d => d === "0" ? "zero" : d).join(" ");
+  const part1 = speakDigits(digits.substring(0, 3), lang);
+  const part2 = speakDigits(digits.substring(3, 6), lang);
+  const part3 = speakDigits(digits.substring(6, 10), lang);
   
   return `${part1}, ${part2}, ${part3}`;
 }
 
-function categorizeIssue(text = "") {
+// Checked before the English patterns for Spanish/Portuguese callers
+const LOCALIZED_ISSUE_PATTERNS = {
+  es: [
+    ["no_start", /(no arranca|no prende|no enciende|no quiere arrancar|batería muerta|bateria muerta|pasar corriente)/],
+    ["overheating", /(se calienta|sobrecalient|calentando|temperatura|anticongelante|radiador|vapor)/],
+    ["brakes", /(freno|frenar|rechina|chirr)/],
+    ["pulling_alignment", /(se jala|se va (hacia |para )?(la )?(derecha|izquierda)|alineaci|volante)/],
+    ["check_engine", /(luz del motor|check engine|código de (error|falla)|codigo de (error|falla)|falla el motor|tironea)/],
+    ["transmission", /(transmisi|caja de cambios|cambios|se patina)/],
+    ["ac", /(aire acondicionado|aire caliente|no enfría|no enfria)/],
+    ["electrical", /(batería|bateria|alternador|luces|eléctric|electric)/],
+    ["tire", /(llanta|neumático|neumatico|goma|ponchad|pinchad)/],
+    ["noise", /(ruido|golpe|traqueteo|suena)/],
+    ["leak", /(fuga|gotea|goteo|líquido|liquido|charco|aceite)/],
+  ],
+  pt: [
+    ["no_start", /(não liga|nao liga|não pega|nao pega|não dá partida|nao da partida|bateria descarregada|motor de arranque)/],
+    ["overheating", /(esquenta|superaquec|temperatura|radiador|vapor|arrefecimento)/],
+    ["brakes", /(freio|frear|freada|chiado)/],
+    ["pulling_alignment", /(puxa|puxando|alinhamento|volante)/],
+    ["check_engine", /(luz da injeção|luz da injecao|luz do motor|check engine|código de (erro|falha)|codigo de (erro|falha)|falhando)/],
+    ["transmission", /(câmbio|cambio|transmiss|marcha|patinando)/],
+    ["ac", /(ar condicionado|ar-condicionado|não gela|nao gela|ar quente)/],
+    ["electrical", /(bateria|alternador|luzes|elétric|eletric)/],
+    ["tire", /(pneu|furado|furou)/],
+    ["noise", /(barulho|batida|estalo|chocalh)/],
+    ["leak", /(vazamento|vazando|pingando|óleo|oleo|líquido|liquido|poça)/],
+  ],
+};
+
+function categorizeIssue(text = "", lang = "en") {
   const t = String(text).toLowerCase();
   
+  for (const [category, re] of LOCALIZED_ISSUE_PATTERNS[lang] || []) {
+    if (re.test(t)) return category;
+  }
+  
   if (/(won't start|wont start|no start|clicking|starter|dead battery|jump start)/i.test(t)) return "no_start";
   if (/(overheat|overheating|temperature gauge|coolant|radiator|steam)/i.test(t)) return "overheating";
   if (/(brake|grind|squeal|squeak|pedal|rotor)/i.test(t)) return "brakes";
   if (/(pulls to the (right|left)|pulling|alignment|steering wheel|drifts)/i.test(t)) return "pulling_alignment";
-  if (/(check engine|cel|engine light|code|misfire|rough idle)/i.test(t)) return "check_engine";
+  // Whole words only: "Marcel" isn't a CEL, and a ZIP code isn't a trouble code
+  if (/(check engine|\bcel\b|engine light|(?<!(zip|area|postal) )\bcodes?\b|misfire|rough idle)/i.test(t)) return "check_engine";
   if (/(transmission|slipping|hard shift|won't shift|gear)/i.test(t)) return "transmission";
-  if (/(ac|a\/c|air conditioner|no cold|blowing warm)/i.test(t)) return "ac";
+  if (/(\bac\b|a\/c|air conditioner|no cold|blowing warm)/i.test(t)) return "ac";
   if (/(battery|alternator|charging|lights dim|electrical)/i.test(t)) return "electrical";
-  if (/(flat tire|tire|puncture|blowout)/i.test(t)) return "tire";
+  if (/(flat tire|\btires?\b|puncture|blowout)/i.test(t)) return "tire";
   if (/(noise|rattle|clunk|knock)/i.test(t)) return "noise";
   if (/(leak|leaking|fluid|puddle|drip|dripping)/i.test(t)) return "leak";
   
   return "general";
 }
 
+// Spanish/Portuguese answers, checked in this order (negated forms are spelled out under flexible)
+const LOCALIZED_URGENCY_PATTERNS = {
+  es: [
+    ["flexible", /(no hay prisa|sin prisa|no es urgente|no es una emergencia|la próxima semana|la proxima semana|la semana que viene|cuando sea|cuando puedan|no importa|puede esperar)/],
+    ["emergency", /(emergencia|urgente|ahora mismo|de inmediato|lo antes posible|cuanto antes|varado|atascado|tirado)/],
+    ["today", /(hoy|esta tarde|esta noche|esta mañana)/],
+    ["this_week", /(mañana|manana|esta semana|unos días|unos dias|un par de días|un par de dias|pocos días|pocos dias|pronto)/],
+  ],
+  pt: [
+    ["flexible", /(sem pressa|não tem pressa|nao tem pressa|não é urgente|nao e urgente|não é emergência|semana que vem|próxima semana|proxima semana|quando der|quando puder|tanto faz|pode esperar)/],
+    ["emergency", /(emergência|emergencia|urgente|agora mesmo|imediatamente|o quanto antes|o mais rápido|o mais rapido|parado na rua|preso)/],
+    ["today", /(hoje|esta tarde|esta noite|hoje à noite)/],
+    ["this_week", /(amanhã|amanha|esta semana|essa semana|alguns dias|uns dias|poucos dias|logo)/],
+  ],
+};
+
+const LOCALIZED_DRIVABLE_PATTERNS = {
+  es: [
+    ["yes", /(no (necesita|hace falta|requiere) (una )?grúa|no necesita grua)/],
+    ["no_needs_tow", /(grúa|grua|remolc|no (arranca|prende|se mueve|puedo manejar|se puede manejar|anda|camina|es seguro|me siento seguro|me siento segura)|peligroso|varado|tirado)/],
+    ["limp", /(apenas|más o menos|mas o menos|distancia corta|despacio|con cuidado|cerca nomás|no muy lejos)/],
+    ["yes", /((^|\s)(sí|si|claro)(?=$|[\s,.!?])|puedo manejar|se puede manejar|funciona|anda bien|lo puedo llevar)/],
+  ],
+  pt: [
+    ["yes", /(não precisa de guincho|nao precisa de guincho|sem guincho)/],
+    ["no_needs_tow", /(guincho|reboque|rebocar|não (liga|pega|anda|se move|dá para dirigir|consigo dirigir|é seguro|me sinto seguro|me sinto segura)|nao (liga|pega|anda|da para dirigir|consigo dirigir|e seguro)|perigoso)/],
+    ["limp", /(mais ou menos|devagar|distância curta|distancia curta|com cuidado|perto|não muito longe)/],
+    ["yes", /((^|\s)(sim|claro)(?=$|[\s,.!?])|consigo dirigir|dá para dirigir|da para dirigir|anda normal|funciona)/],
+  ],
+};
+
+function matchLocalized(patterns, text) {
+  for (const [value, re] of patterns || []) {
+    if (re.test(text)) return value;
+  }
+  return "";
+}
+
+// Negator followed (within a few words) by an urgency word: "not an emergency", "no rush", "doesn't have to be today"
+const NEGATED_URGENCY_RE = /\b(?:not|no|never|isn'?t|ain'?t|doesn'?t|don'?t|does not|do not|won'?t|wouldn'?t)\b(?:\s+\w+){0,4}?\s*\b(emergency|urgent|asap|today|tonight|right away|right now|immediately|rush|hurry|rushing|hurrying)\b/gi;
+
+/**
+ * Turns the answer to "when do you need it done?" into one of
+ * emergency / today / this_week / flexible, or "" if we can't tell.
+ */
+function classifyUrgency(text = "", lang = "en") {
+  const raw = String(text).toLowerCase();
+  const localized = matchLocalized(LOCALIZED_URGENCY_PATTERNS[lang], raw);
+  if (localized) return localized;
+  const t = raw.replace(NEGATED_URGENCY_RE, " ");
+  const negatedSomething = t !== raw;
+  
+  if (/(emergency|asap|a\.s\.a\.p|as soon as possible|right now|right away|immediately|urgent|stranded|stuck|need help now|breaking down)/.test(t)) return "emergency";
+  if (/(today|tonight|this (morning|afternoon|evening)|same day|in a few hours|later on|as soon as (you|they|someone|somebody) can)/.test(t)) return "today";
+  if (/(tomorrow|this week|few days|couple (of )?days|next couple|in a day or two|this weekend|by the weekend|by (monday|tuesday|wednesday|thursday|friday|saturday|sunday)|within (a|the) week|soon)/.test(t)) return "this_week";
+  if (/(next week|next month|few weeks|couple (of )?weeks|whenever|flexible|any ?time|doesn'?t matter|no big deal|can wait|not in a hurry|when(ever)? (you|they|someone) can|no particular)/.test(t)) return "flexible";
+  
+  // "No rush" / "not urgent" with nothing more specific
+  if (negatedSomething) return "flexible";
+  return "";
+}
+
+/**
+ * Turns the answer to "can you drive it to a shop?" into yes / limp /
+ * no_needs_tow, or "" if we can't tell.
+ */
+function classifyDrivable(text = "", lang = "en") {
+  const t = String(text).toLowerCase().trim();
+  const localized = matchLocalized(LOCALIZED_DRIVABLE_PATTERNS[lang], t);
+  if (localized) return localized;
+  if (lang !== "en" && looksLikeNo(t, lang)) return "no_needs_tow";
+  // "Not sure", "maybe", "I can get it there I think" — ask again rather than guess
+  if (/\b(not sure|unsure|not certain|don'?t know|do not know|dunno|no idea|hard to say|maybe|i guess)\b|\bi think\W*$/.test(t)) return "";
+  
+  const limps = /(barely|kind of|kinda|sort of|short distance|not far|only (a )?(short|little|few)|limp|slowly|carefully|a few miles|close by|if i have to|probably|risky|sketchy|nervous|can't drive it far|cant drive it far)/.test(t);
+  
+  // "No problem driving it", "doesn't need a tow"
+  if (/(no (problem|issue|trouble)s? (driving|with driving|getting it)|(don'?t|doesn'?t|does not|do not|won'?t|shouldn'?t) need (a |to be )?tow|no tow)/.test(t)) {
+    return limps ? "limp" : "yes";
+  }
+  if (/\btow(ed|ing| truck)?\b/.test(t)) return "no_needs_tow";
+  // "I don't think it's safe to drive", "it's unsafe", "I don't feel safe driving it"
+  if (/\bunsafe\b|\b(not|isn'?t|is not|don'?t think (it'?s|it is|it would be|it'?d be)|(don'?t|do not|doesn'?t|does not|wouldn'?t) (feel|seem|look|be))( \w+)? safe\b/.test(t)) return "no_needs_tow";
+  if (limps) return "limp";
+  if (/(won'?t|can'?t|cannot|can not|doesn'?t|does not|isn'?t|is not|not) (start|move|drive|run|turn over|go|be driven|safe|drivable|driveable)|undrivable|not drivable|stuck|stranded|broke down|broken down|dead|no way|wouldn'?t (drive|risk)/.test(t)) return "no_needs_tow";
+  // Negated before the yes words below: "no, I can't", "I'm not driving it anywhere"
+  if (/\b(i|it|you|we) (can'?t|cannot|can not)\b|\bdon'?t think so\b|\b(not|never) (be )?driving\b|\b(not|never) (going|gonna) (to )?drive\b/.test(t)) return "no_needs_tow";
+  if (looksLikeNo(t) && !/^no (problem|issue|worries)\b/.test(t)) return "no_needs_tow";
+  if (/\b(yes|yeah|yep|yup|sure|i think so|can drive|i can(?!['’]t)|drivable|driveable|drive it|it drives|it runs|runs fine|driving it|still driving|safe to drive|it'?s (ok|okay|fine)|no problem)\b/.test(t) || looksLikeYes(t)) return "yes";
+  return "";
+}
+
 function serviceTypeFromCategory(cat = "general") {
   const map = {
     brakes: "brake-repair",
@@ -189,21 +652,6 @@ function serviceTypeFromCategory(cat = "general") {
   return map[cat] || "general-repair";
 }
 
-const FOLLOWUP_BY_CATEGORY = {
-  brakes: "Got it. Are you hearing squeaking or grinding, and does it happen only when braking or all the time?",
-  pulling_alignment: "Okay. Does it pull mostly at higher speeds, and does the steering wheel shake or feel off-center?",
-  no_start: "I understand. When you turn the key, do you hear a click, a crank, or nothing at all? And are the dash lights on?",
-  overheating: "Got it. Has the temp gauge gone into the red, or have you seen steam or coolant leaks? How long into driving does it happen?",
-  check_engine: "Okay. Is the car running rough or losing power? And is the light flashing or solid?",
-  transmission: "I see. Is it slipping, shifting hard, or refusing to go into gear? Any warning lights?",
-  ac: "Understood. Is it blowing warm air constantly or only at idle? Any unusual noises when the AC is on?",
-  electrical: "Got it. Are you seeing dimming lights, a battery warning, or intermittent power issues? When did it start?",
-  tire: "Okay. Is the tire flat right now, or losing air slowly?",
-  noise: "I hear you. Is it more like a clunk, knock, or rattle, and does it happen over bumps, turning, or accelerating?",
-  leak: "Understood. What color is the fluid? And is it leaking while parked or only when running?",
-  general: "Okay, tell me more about what's happening.",
-};
-
 //────────────────────────────────────────────────────────────────────────────────
 // 1) CONFIGURATION & SETUP
 //────────────────────────────────────────────────────────────────────────────────
@@ -223,766 +671,4474 @@ const {
   SUPABASE_KEY,
   PUBLIC_BASE_URL,
   ADMIN_ESCALATION_PHONE,
+  ADMIN_API_TOKEN,
+  LEAD_DISPATCH_BASE_URL,
+  DISPATCH_CALLBACK_SECRET,
 } = process.env;
 
-if (
-  !OPENAI_API_KEY ||
-  !DEEPGRAM_API_KEY ||
-  !TWILIO_ACCOUNT_SID ||
-  !TWILIO_AUTH_TOKEN ||
-  !TWILIO_PHONE_NUMBER ||
-  !SUPABASE_URL ||
-  !SUPABASE_KEY
-) {
-  console.error("❌ CRITICAL: Missing required env vars.");
+// Speech/LLM vendors — "fake" swaps in the local mocks from SPEECH & LLM PROVIDERS
+const STT_PROVIDER = (process.env.STT_PROVIDER || "deepgram").toLowerCase();
+const TTS_PROVIDER = (process.env.TTS_PROVIDER || "deepgram").toLowerCase();
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+
+// All three faked means a call can run end to end with no network, so Twilio/Supabase become optional
+const OFFLINE_MODE = [STT_PROVIDER, TTS_PROVIDER, LLM_PROVIDER].every((p) => p === "fake");
+
+const REQUIRED_ENV = {
+  DEEPGRAM_API_KEY: STT_PROVIDER === "deepgram" || TTS_PROVIDER === "deepgram",
+  OPENAI_API_KEY: LLM_PROVIDER === "openai",
+  TWILIO_ACCOUNT_SID: !OFFLINE_MODE,
+  TWILIO_AUTH_TOKEN: !OFFLINE_MODE,
+  TWILIO_PHONE_NUMBER: !OFFLINE_MODE,
+  SUPABASE_URL: !OFFLINE_MODE,
+  SUPABASE_KEY: !OFFLINE_MODE,
+};
+
+const missingEnv = Object.keys(REQUIRED_ENV).filter((key) => REQUIRED_ENV[key] && !process.env[key]);
+if (missingEnv.length) {
+  console.error(`❌ CRITICAL: Missing required env vars: ${missingEnv.join(", ")}`);
   process.exit(1);
 }
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
-  auth: { persistSession: false },
-});
+/**
+ * Offline stand-in for the Supabase client: rows live in memory for the life of the
+ * process. Covers only the query-builder calls this file makes (from/select/insert/
+ * update/upsert, eq/in/contains/not-is/gte/lt, order/limit/range, maybeSingle/single),
+ * and resolves to the same { data, error } shape.
+ */
+function createMemoryStore() {
+  const tables = new Map();
+  const lastIds = new Map();
+  
+  const rowsOf = (table) => {
+    if (!tables.has(table)) tables.set(table, []);
+    return tables.get(table);
+  };
+  
+  // What the real schema fills in on insert
+  const newRow = (table, values) => {
+    const id = (lastIds.get(table) || 0) + 1;
+    lastIds.set(table, id);
+    return {
+      id,
+      created_at: new Date().toISOString(),
+      ...(table === "leads" ? { lead_code: `MM-${String(id).padStart(5, "0")}` } : {}),
+      ...values,
+    };
+  };
+  
+  const pick = (row, columns) => {
+    if (columns === "*") return { ...row };
+    return Object.fromEntries(columns.split(",").map((c) => c.trim()).map((c) => [c, row[c] ?? null]));
+  };
+  
+  function query(table) {
+    const rows = rowsOf(table);
+    const filters = [];
+    let action = "select";
+    let values = null;
+    let conflictKey = "";
+    let columns = "*";
+    let returning = false;
+    let ordering = null;
+    let from = 0;
+    let to = Infinity;
+    let single = "";
+    
+    const run = () => {
+      let affected;
+      if (action === "insert" || action === "upsert") {
+        affected = values.map((value) => {
+          const existing = action === "upsert" && rows.find((row) => row[conflictKey] === value[conflictKey]);
+          if (existing) return Object.assign(existing, value);
+          const row = newRow(table, value);
+          rows.push(row);
+          return row;
+        });
+      } else {
+        affected = rows.filter((row) => filters.every((test) => test(row)));
+        if (action === "update") affected.forEach((row) => Object.assign(row, values));
+      }
+      if (action !== "select" && !returning) return { data: null, error: null };
+      
+      if (ordering) {
+        const { column, ascending } = ordering;
+        affected = [...affected].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+      }
+      const data = affected.slice(from, to + 1).map((row) => pick(row, columns));
+      if (!single) return { data, error: null };
+      if (single === "single" && data.length !== 1) return { data: null, error: { message: `expected 1 row, got ${data.length}` } };
+      return { data: data[0] || null, error: null };
+    };
+    
+    const builder = {
+      select(cols = "*") {
+        columns = cols;
+        if (action !== "select") returning = true;
+        return builder;
+      },
+      insert(value) {
+        action = "insert";
+        values = [].concat(value);
+        return builder;
+      },
+      upsert(value, { onConflict = "id" } = {}) {
+        action = "upsert";
+        values = [].concat(value);
+        conflictKey = onConflict;
+        return builder;
+      },
+      update(patch) {
+        action = "update";
+        values = patch;
+        return builder;
+      },
+      // Ids come back from query strings as text, so compare loosely
+      eq(column, value) {
+        filters.push((row) => String(row[column]) === String(value));
+        return builder;
+      },
+      in(column, list) {
+        const wanted = list.map(String);
+        filters.push((row) => wanted.includes(String(row[column])));
+        return builder;
+      },
+      contains(column, list) {
+        filters.push((row) => Array.isArray(row[column]) && list.every((item) => row[column].includes(item)));
+        return builder;
+      },
+      not(column, operator, value) {
+        filters.push((row) => (operator === "is" ? (row[column] ?? null) !== value : true));
+        return builder;
+      },
+      gte(column, value) {
+        filters.push((row) => row[column] >= value);
+        return builder;
+      },
+      lt(column, value) {
+        filters.push((row) => row[column] < value);
+        return builder;
+      },
+      order(column, { ascending = true } = {}) {
+        ordering = { column, ascending };
+        return builder;
+      },
+      limit(count) {
+        to = from + count - 1;
+        return builder;
+      },
+      range(start, end) {
+        from = start;
+        to = end;
+        return builder;
+      },
+      maybeSingle() {
+        single = "maybe";
+        return builder;
+      },
+      single() {
+        single = "single";
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(run).then(resolve, reject);
+      },
+    };
+    return builder;
+  }
+  
+  return { from: query };
+}
+
+// Offline runs without Supabase credentials keep their rows in memory, so nothing waits on
+// a database that isn't there (the admin API still shows this process's calls and leads)
+const USE_MEMORY_STORE = OFFLINE_MODE && (!SUPABASE_URL || !SUPABASE_KEY);
+
+const supabase = USE_MEMORY_STORE
+  ? createMemoryStore()
+  : createClient(SUPABASE_URL, SUPABASE_KEY, {
+    auth: { persistSession: false },
+    // Node < 22 has no global WebSocket for the realtime client
+    realtime: { transport: WebSocket },
+  });
+
+if (USE_MEMORY_STORE) {
+  console.warn("⚠️ Offline mode without Supabase credentials — storing calls and leads in memory; they're gone on restart");
+}
+
+// Null only in offline mode — transfers, hangups and texts are logged and skipped
+const twilioClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) : null;
+if (!twilioClient) {
+  console.warn("⚠️ Offline mode without Twilio credentials — call control and SMS are disabled");
+}
 
-const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+// Only for local testing against fake Twilio traffic — never turn this off in production
+const VALIDATE_TWILIO_SIGNATURES = process.env.TWILIO_VALIDATE_SIGNATURES !== "false" && Boolean(TWILIO_AUTH_TOKEN);
+if (!VALIDATE_TWILIO_SIGNATURES) {
+  console.warn("⚠️ Twilio signature checks are off (TWILIO_VALIDATE_SIGNATURES=false or no auth token) — webhook and media stream requests are NOT authenticated");
+}
 
 //────────────────────────────────────────────────────────────────────────────────
-// 2) HEALTH CHECK
+// 2) SERVICE AREA
 //────────────────────────────────────────────────────────────────────────────────
 
-app.get("/", (req, res) => res.send("MassMechanic Server is Awake 🤖"));
+// Bundled Massachusetts ZIP -> town lookup
+const MA_ZIP_TOWNS = JSON.parse(readFileSync(new URL("./data/ma-zip-towns.json", import.meta.url), "utf8"));
+
+// SERVICE_AREA: comma-separated ZIPs, ZIP prefixes ("021") or town names.
+// Unset means every Massachusetts ZIP we know about.
+const SERVICE_AREA = String(process.env.SERVICE_AREA || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Classifies a ZIP for the service area.
+ * Returns { status: "covered" | "not_covered" | "unknown", town }
+ * where "unknown" means it isn't a Massachusetts ZIP we recognize.
+ */
+function checkServiceZip(zip = "") {
+  const town = MA_ZIP_TOWNS[zip] || "";
+  if (!town) return { status: "unknown", town: "" };
+  if (!SERVICE_AREA.length) return { status: "covered", town };
+  
+  const covered = SERVICE_AREA.some((entry) =>
+    /^\d+$/.test(entry) ? zip.startsWith(entry) : entry === town.toLowerCase()
+  );
+  return { status: covered ? "covered" : "not_covered", town };
+}
 
 //────────────────────────────────────────────────────────────────────────────────
-// 3) TWILIO VOICE WEBHOOKS
+// 3) VEHICLE CATALOG
 //────────────────────────────────────────────────────────────────────────────────
 
-function getStreamUrl(req) {
-  const host = req.headers["x-forwarded-host"] || req.headers.host;
-  const xfProto = req.headers["x-forwarded-proto"] || "https";
-  const proto = String(xfProto).includes("https") ? "wss" : "ws";
-  return `${proto}://${host}/`;
+// Bundled makes/models (with model-year ranges) and VIN manufacturer prefixes
+const VEHICLE_CATALOG = JSON.parse(readFileSync(new URL("./data/vehicle-catalog.json", import.meta.url), "utf8"));
+
+// "F-150", "f 150" and "F150" all become "f150"
+function vehicleKey(text = "") {
+  return String(text).toLowerCase().replace(/&/g, "and").replace(/[^a-z0-9]/g, "");
 }
 
-app.post("/voice", (req, res) => {
-  res.type("text/xml");
-  const streamUrl = getStreamUrl(req);
-  const from = normalizePhone(req.body?.From || "");
-  const caller = normalizePhone(req.body?.Caller || "");
-  const callSid = req.body?.CallSid || "";
-  
-  res.send(`
-<Response>
-  <Connect>
-    <Stream url="${streamUrl}">
-      <Parameter name="from" value="${from}" />
-      <Parameter name="caller" value="${caller}" />
-      <Parameter name="callSid" value="${callSid}" />
-    </Stream>
-  </Connect>
-</Response>
-  `);
-});
+// Keeps the word count so a fuzzy match can't straddle words ("car is" ~ "yaris")
+function vehicleKeys(names = []) {
+  const seen = new Map();
+  for (const name of names) {
+    const key = vehicleKey(name);
+    if (key && !seen.has(key)) seen.set(key, String(name).trim().split(/[\s-]+/).length);
+  }
+  return [...seen].map(([key, words]) => ({ key, words }));
+}
 
-app.post("/transfer", (req, res) => {
-  res.type("text/xml");
-  if (!ADMIN_ESCALATION_PHONE) {
-    return res.send(`
-<Response>
-  <Say>Sorry, no operator is available right now.</Say>
-  <Hangup/>
-</Response>
-    `);
+const VEHICLE_MAKES = VEHICLE_CATALOG.makes.map((m) => ({
+  make: m.make,
+  keys: vehicleKeys([m.make, ...m.aliases]),
+  models: m.models.map((mo) => ({
+    make: m.make,
+    model: mo.model,
+    keys: vehicleKeys([mo.model, ...mo.aliases]),
+    years: mo.years,
+  })),
+}));
+const VEHICLE_MODELS = VEHICLE_MAKES.flatMap((m) => m.models);
+
+// Model names that are also everyday words — only trust them next to a make or year
+const COMMON_WORD_MODELS = new Set([
+  "edge", "focus", "escape", "express", "spark", "soul", "leaf", "venue", "quest", "liberty",
+  "legacy", "ascent", "accent", "insight", "element", "journey", "compass", "passport", "bolt",
+  "flex", "encore", "terrain", "matrix", "transit", "pilot", "ranger", "frontier", "odyssey",
+  "fusion", "sonic", "titan", "atlas", "golf", "neon", "dart",
+]);
+
+function levenshtein(a = "", b = "") {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
   }
-  return res.send(`
-<Response>
-  <Say>Connecting you now.</Say>
-  <Dial timeout="25" answerOnBridge="true">${ADMIN_ESCALATION_PHONE}</Dial>
-  <Say>Sorry — nobody answered. Please text us and we will follow up.</Say>
-  <Hangup/>
-</Response>
-  `);
-});
+  return prev[b.length];
+}
 
-app.post("/hangup", (req, res) => {
-  res.type("text/xml");
-  res.send(`
-<Response>
-  <Hangup/>
-</Response>
-  `);
-});
+function soundex(word = "") {
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  const w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return "";
+  let out = w[0].toUpperCase();
+  let last = codes[w[0]] || 0;
+  for (const c of w.slice(1)) {
+    const code = codes[c] || 0;
+    if (code && code !== last) out += code;
+    if (c !== "h" && c !== "w") last = code;
+    if (out.length === 4) break;
+  }
+  return out.padEnd(4, "0");
+}
 
-const VOICE_GREETING = "Thanks for calling Mass Mechanic — we connect you with trusted local mechanics for fast, free repair quotes. Tell me what's wrong with your car or ask me a quick question.";
+// 3 = exact, 2 = close spelling ("hondo" / "honda"), 1 = sounds alike ("civc" / "civic")
+function vehicleKeyScore(heard, key) {
+  if (heard === key) return 3;
+  // Digits must match exactly — "2500" is not "1500"
+  if (/\d/.test(heard) || /\d/.test(key)) return 0;
+  if (heard.length < 4 || key.length < 4) return 0;
+  const d = levenshtein(heard, key);
+  if (heard.length >= 5 && key.length >= 5 && d <= (key.length >= 8 ? 2 : 1)) return 2;
+  if (d <= 2 && soundex(heard) === soundex(key)) return 1;
+  return 0;
+}
 
-//────────────────────────────────────────────────────────────────────────────────
-// 4) SPEAK + LOGGING HELPERS
-//────────────────────────────────────────────────────────────────────────────────
+function vehicleNgrams(tokens, maxLen) {
+  const grams = [];
+  for (let n = maxLen; n >= 1; n--) {
+    for (let i = 0; i + n <= tokens.length; i++) {
+      grams.push({ key: tokens.slice(i, i + n).join(""), n });
+    }
+  }
+  return grams;
+}
 
-function estimateSpeakMs(text = "") {
-  const ms = Math.max(1500, Math.min(10000, Math.ceil(String(text).length / 12) * 1000));
-  return ms;
+function yearFits(years, year) {
+  if (!year || !years) return true;
+  const y = Number(year);
+  return y >= years[0] && (years[1] == null || y <= years[1]);
 }
 
-async function speakOverStream({ ws, streamSid, text, deepgramKey, retries = 2 }) {
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 10000);
-      
-      const ttsResponse = await fetch(
-        "https://api.deepgram.com/v1/speak?model=aura-asteria-en&encoding=mulaw&sample_rate=8000&container=none",
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Token ${deepgramKey}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({ text }),
-          signal: controller.signal,
-        }
-      );
-      
-      clearTimeout(timeout);
-      
-      if (!ttsResponse.ok) {
-        const errText = await ttsResponse.text().catch(() => "");
-        console.error(`❌ TTS Failed (attempt ${attempt + 1}/${retries + 1}):`, ttsResponse.status, errText);
-        
-        if (attempt < retries) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-          continue;
-        }
-        return false;
-      }
-      
-      const audioBuffer = await ttsResponse.arrayBuffer();
-      const base64Audio = Buffer.from(audioBuffer).toString("base64");
-      
-      if (ws.readyState === WebSocket.OPEN && streamSid) {
-        ws.send(JSON.stringify({ event: "media", streamSid, media: { payload: base64Audio } }));
-        return true;
+/**
+ * Matches free text against the catalog. `make` and `year` are what we already
+ * know about the car, so "Silverado" alone works once we've heard "Chevy".
+ * Returns { make, model } (model may be "") or null.
+ */
+function matchVehicle(text = "", { make: knownMake = "", year = "" } = {}) {
+  const tokens = String(text)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/'/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((t) => (t in DIGIT_WORDS && t !== "oh" && t !== "o" ? DIGIT_WORDS[t] : t)); // "mazda three"
+  if (!tokens.length) return null;
+  
+  let bestMake = null;
+  for (const { key, n } of vehicleNgrams(tokens, 2)) {
+    for (const m of VEHICLE_MAKES) {
+      for (const { key: k, words } of m.keys) {
+        const score = key === k ? 3 : n === words ? vehicleKeyScore(key, k) : 0;
+        if (score && (!bestMake || score * 10 + n > bestMake.score)) bestMake = { make: m.make, score: score * 10 + n };
       }
-      return false;
-      
-    } catch (error) {
-      console.error(`❌ TTS Error (attempt ${attempt + 1}/${retries + 1}):`, error.message);
-      
-      if (attempt < retries) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        continue;
+    }
+  }
+  
+  const make = bestMake?.make || knownMake;
+  const pool = make ? VEHICLE_MODELS.filter((mo) => mo.make === make) : VEHICLE_MODELS;
+  const yearKey = year || extractCarYear(text);
+  
+  let bestModel = null;
+  for (const { key, n } of vehicleNgrams(tokens, 3)) {
+    if (key === yearKey) continue;
+    for (const mo of pool) {
+      for (const { key: k, words } of mo.keys) {
+        // "3", "rx", "fit", "1500" or "focus" on their own are too easy to mishear
+        if (!make && (k.length <= 3 || /^\d+$/.test(k))) continue;
+        if (!make && !yearKey && COMMON_WORD_MODELS.has(k)) continue;
+        const score = key === k ? 3 : n === words ? vehicleKeyScore(key, k) : 0;
+        if (!score) continue;
+        const total = score * 10 + n + (yearFits(mo.years, yearKey) ? 5 : 0);
+        if (!bestModel || total > bestModel.score) bestModel = { make: mo.make, model: mo.model, score: total };
       }
-      return false;
     }
   }
   
-  return false;
+  if (bestModel) return { make: bestModel.make, model: bestModel.model };
+  if (bestMake) return { make: bestMake.make, model: "" };
+  return null;
 }
 
-async function transferCallToHuman(callSid) {
-  if (!ADMIN_ESCALATION_PHONE) return console.error("❌ Missing ADMIN_ESCALATION_PHONE");
-  if (!callSid) return console.error("❌ Missing callSid — cannot transfer");
+// Make from the manufacturer prefix, model year from position 10
+function decodeVin(vin = "") {
+  let make = "";
+  for (const len of [3, 2]) {
+    const found = VEHICLE_CATALOG.wmi[vin.substring(0, len)];
+    if (found) {
+      make = found;
+      break;
+    }
+  }
+  
+  const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+  const idx = YEAR_CODES.indexOf(vin[9]);
+  let year = "";
+  if (idx >= 0) {
+    // Position 7 is a digit for 1980-2009 passenger vehicles, a letter from 2010 on
+    const base = /\d/.test(vin[6]) ? 1980 : 2010;
+    year = String(base + idx);
+  }
+  
+  return { make, year };
+}
+
+//────────────────────────────────────────────────────────────────────────────────
+// 4) OPERATOR HOURS
+//────────────────────────────────────────────────────────────────────────────────
+
+// BUSINESS_HOURS: "mon-fri 08:00-18:00; sat 09:00-13:00" (several ranges: "mon 08:00-12:00,13:00-17:00")
+// BUSINESS_HOLIDAYS: "2026-11-26,2026-12-25" — closed all day
+// OPERATOR_PHONES: comma-separated, tried in order (OPERATOR_DIAL_MODE=sequential) or all at once (simultaneous)
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || "America/New_York";
+const DEFAULT_BUSINESS_HOURS = "mon-fri 08:00-18:00; sat 09:00-13:00";
+const BUSINESS_HOLIDAYS = new Set(
+  String(process.env.BUSINESS_HOLIDAYS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+const OPERATOR_PHONES = String(process.env.OPERATOR_PHONES || ADMIN_ESCALATION_PHONE || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const OPERATOR_DIAL_MODE = process.env.OPERATOR_DIAL_MODE === "simultaneous" ? "simultaneous" : "sequential";
+const OPERATOR_DIAL_TIMEOUT_SECONDS = Number(process.env.OPERATOR_DIAL_TIMEOUT_SECONDS || 20);
+const VOICEMAIL_MAX_SECONDS = Number(process.env.VOICEMAIL_MAX_SECONDS || 120);
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+function parseClock(hhmm = "") {
+  const m = String(hhmm).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) throw new Error(`bad time "${hhmm}"`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// -> array indexed by weekday (0 = Sunday) of [startMinute, endMinute] ranges
+function parseBusinessHours(spec = "") {
+  const week = WEEKDAYS.map(() => []);
+  for (const part of spec.split(";").map((s) => s.trim()).filter(Boolean)) {
+    const [daysSpec, rangesSpec] = part.split(/\s+/, 2);
+    if (!rangesSpec) throw new Error(`missing hours in "${part}"`);
+    
+    const days = [];
+    for (const d of daysSpec.toLowerCase().split(",")) {
+      const [from, to] = d.split("-");
+      const a = WEEKDAYS.indexOf(from);
+      const b = to ? WEEKDAYS.indexOf(to) : a;
+      if (a < 0 || b < 0) throw new Error(`bad day "${d}"`);
+      for (let i = a; ; i = (i + 1) % 7) {
+        days.push(i);
+        if (i === b) break;
+      }
+    }
+    
+    for (const range of rangesSpec.split(",")) {
+      const [start, end] = range.split("-").map(parseClock);
+      if (!(end > start)) throw new Error(`bad range "${range}"`);
+      for (const day of days) week[day].push([start, end]);
+    }
+  }
+  return week;
+}
+
+let BUSINESS_HOURS;
+try {
+  BUSINESS_HOURS = parseBusinessHours(process.env.BUSINESS_HOURS || DEFAULT_BUSINESS_HOURS);
+} catch (e) {
+  console.error(`❌ Invalid BUSINESS_HOURS (${e.message}) — using "${DEFAULT_BUSINESS_HOURS}"`);
+  BUSINESS_HOURS = parseBusinessHours(DEFAULT_BUSINESS_HOURS);
+}
+
+// Wall-clock date/weekday/minute in the business's timezone
+function localBusinessTime(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: BUSINESS_TIMEZONE,
+      year: "numeric", month: "2-digit", day: "2-digit",
+      weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    minute: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// UTC instant of midnight on `day` (YYYY-MM-DD) in the business time zone
+function businessDayStart(day) {
+  const offset = new Intl.DateTimeFormat("en-US", { timeZone: BUSINESS_TIMEZONE, timeZoneName: "longOffset" })
+    .formatToParts(new Date(`${day}T12:00:00Z`))
+    .find((p) => p.type === "timeZoneName")?.value || "";
+  const m = offset.match(/GMT([+-])(\d{2}):(\d{2})/);
+  const offsetMinutes = m ? (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) : 0;
+  return new Date(Date.parse(`${day}T00:00:00Z`) - offsetMinutes * 60000);
+}
+
+function addDays(day, n) {
+  const d = new Date(`${day}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function spokenClock(minute) {
+  const h = Math.floor(minute / 60) % 24;
+  const m = minute % 60;
+  const suffix = h < 12 ? "AM" : "PM";
+  return `${h % 12 || 12}${m ? `:${String(m).padStart(2, "0")}` : ""} ${suffix}`;
+}
+
+/**
+ * Are operators staffed right now? When closed, `next` is when they'll be back
+ * ({ offset: days from today, weekday, minute }) — see describeNextOpen().
+ */
+function operatorAvailability(now = new Date()) {
+  if (!OPERATOR_PHONES.length) return { open: false, next: null };
+  
+  const today = localBusinessTime(now);
+  const openNow =
+    !BUSINESS_HOLIDAYS.has(today.date) &&
+    BUSINESS_HOURS[today.weekday].some(([start, end]) => today.minute >= start && today.minute < end);
+  if (openNow) return { open: true, next: null };
+  
+  for (let offset = 0; offset <= 14; offset++) {
+    const day = offset === 0 ? today : localBusinessTime(new Date(now.getTime() + offset * 24 * 60 * 60 * 1000));
+    if (BUSINESS_HOLIDAYS.has(day.date)) continue;
+    const starts = BUSINESS_HOURS[day.weekday]
+      .map(([start]) => start)
+      .filter((start) => offset > 0 || start > today.minute)
+      .sort((a, b) => a - b);
+    if (!starts.length) continue;
+    return { open: false, next: { offset, weekday: day.weekday, minute: starts[0] } };
+  }
+  return { open: false, next: null };
+}
+
+//────────────────────────────────────────────────────────────────────────────────
+// 5) LANGUAGES & PROMPTS
+//────────────────────────────────────────────────────────────────────────────────
+
+// Per-language speech settings. Aura has no Portuguese voice yet and the Spanish one
+// mangles Portuguese, so calls only offer Portuguese once DEEPGRAM_TTS_VOICE_PT names a
+// voice your account has (see hasVoice). Texting works in every language regardless.
+const LANGUAGES = {
+  en: {
+    name: "English",
+    stt: { model: process.env.DEEPGRAM_STT_MODEL_EN || "nova-2", language: "en-US" },
+    ttsVoice: process.env.DEEPGRAM_TTS_VOICE_EN || "aura-asteria-en",
+    twilioSay: null,
+  },
+  es: {
+    name: "Spanish",
+    stt: { model: process.env.DEEPGRAM_STT_MODEL_ES || "nova-2", language: "es" },
+    ttsVoice: process.env.DEEPGRAM_TTS_VOICE_ES || "aura-2-celeste-es",
+    twilioSay: { voice: "Polly.Lupe", language: "es-US" },
+  },
+  pt: {
+    name: "Portuguese",
+    stt: { model: process.env.DEEPGRAM_STT_MODEL_PT || "nova-2", language: "pt-BR" },
+    ttsVoice: process.env.DEEPGRAM_TTS_VOICE_PT || "",
+    twilioSay: { voice: "Polly.Camila", language: "pt-BR" },
+  },
+};
+
+// Until the caller's language is known: a multilingual model, so the first utterance
+// comes through readable whatever they speak
+const DETECT_STT = { model: process.env.DEEPGRAM_DETECT_MODEL || "nova-3", language: "multi" };
+
+// Offered in the greeting: "Para español, oprima 2. Para português, aperte 3."
+const LANGUAGE_KEYPAD = { 2: "es", 3: "pt" };
+
+function languageOf(lang) {
+  return LANGUAGES[lang] ? lang : "en";
+}
+
+// Whether calls can be held in `lang`: without a voice it isn't offered on the keypad,
+// and callers who speak it get English
+function hasVoice(lang) {
+  return Boolean(LANGUAGES[lang]?.ttsVoice);
+}
+
+for (const [lang, { name }] of Object.entries(LANGUAGES)) {
+  if (!hasVoice(lang)) console.warn(`⚠️ No TTS voice for ${name} — calls won't offer it (set DEEPGRAM_TTS_VOICE_${lang.toUpperCase()})`);
+}
+
+// Common words that give a language away; accents and ñ/ç count extra
+const LANGUAGE_MARKERS = {
+  en: new Set(["the", "my", "is", "it", "and", "car", "brakes", "i", "to", "of", "have", "hi", "hello", "yes", "need", "what", "when", "with", "won't", "doesn't", "making"]),
+  es: new Set(["hola", "mi", "el", "los", "las", "es", "tengo", "necesito", "coche", "carro", "frenos", "llanta", "ruido", "arranca", "prende", "por", "favor", "gracias", "sí", "pero", "muy", "hace", "cuando", "llamo", "nombre", "ayuda", "se", "lo", "del", "está", "qué", "español"]),
+  pt: new Set(["olá", "oi", "meu", "minha", "é", "tenho", "preciso", "freio", "freios", "pneu", "barulho", "liga", "não", "sim", "obrigado", "obrigada", "você", "mas", "muito", "quando", "chamo", "nome", "ajuda", "um", "uma", "do", "da", "com", "está", "português"]),
+};
+
+/**
+ * Best guess at the language of a caller's first words: "en", "es", "pt", or ""
+ * when there isn't enough to go on.
+ */
+function detectLanguage(text = "") {
+  const lower = String(text).toLowerCase();
+  const words = new Set(lower.split(/[^a-zà-ÿ']+/).filter(Boolean));
+  const score = { en: 0, es: 0, pt: 0 };
+
+  for (const lang of Object.keys(score)) {
+    for (const w of words) if (LANGUAGE_MARKERS[lang].has(w)) score[lang] += 1;
+  }
+  if (/[ñ¿¡]|ción\b/.test(lower)) score.es += 2;
+  if (/[ãõç]|ção\b|ções\b/.test(lower)) score.pt += 2;
+
+  const [best, bestScore] = Object.entries(score).sort((a, b) => b[1] - a[1])[0];
+  if (bestScore < 2 || Object.values(score).filter((s) => s === bestScore).length > 1) return "";
+  return best;
+}
+
+const WEEKDAY_NAMES_BY_LANGUAGE = {
+  en: WEEKDAY_NAMES,
+  es: ["el domingo", "el lunes", "el martes", "el miércoles", "el jueves", "el viernes", "el sábado"],
+  pt: ["no domingo", "na segunda-feira", "na terça-feira", "na quarta-feira", "na quinta-feira", "na sexta-feira", "no sábado"],
+};
+
+// { offset, weekday, minute } from operatorAvailability() -> "tomorrow at 8 AM"
+function describeNextOpen(next, lang = "en") {
+  if (!next) return "";
+  const h = Math.floor(next.minute / 60);
+  const m = String(next.minute % 60).padStart(2, "0");
+  const day = WEEKDAY_NAMES_BY_LANGUAGE[lang][next.weekday];
+
+  if (lang === "es") {
+    const when = next.offset === 0 ? "hoy" : next.offset === 1 ? "mañana" : day;
+    return `${when} a ${h === 1 ? "la" : "las"} ${h}:${m}`;
+  }
+  if (lang === "pt") {
+    const when = next.offset === 0 ? "hoje" : next.offset === 1 ? "amanhã" : day;
+    return `${when} às ${h}h${m === "00" ? "" : m}`;
+  }
+  const when = next.offset === 0 ? "today" : next.offset === 1 ? "tomorrow" : day;
+  return `${when} at ${spokenClock(next.minute)}`;
+}
+
+const FOLLOWUP_BY_CATEGORY = {
+  en: {
+    brakes: "Got it. Are you hearing squeaking or grinding, and does it happen only when braking or all the time?",
+    pulling_alignment: "Okay. Does it pull mostly at higher speeds, and does the steering wheel shake or feel off-center?",
+    no_start: "I understand. When you turn the key, do you hear a click, a crank, or nothing at all? And are the dash lights on?",
+    overheating: "Got it. Has the temp gauge gone into the red, or have you seen steam or coolant leaks? How long into driving does it happen?",
+    check_engine: "Okay. Is the car running rough or losing power? And is the light flashing or solid?",
+    transmission: "I see. Is it slipping, shifting hard, or refusing to go into gear? Any warning lights?",
+    ac: "Understood. Is it blowing warm air constantly or only at idle? Any unusual noises when the AC is on?",
+    electrical: "Got it. Are you seeing dimming lights, a battery warning, or intermittent power issues? When did it start?",
+    tire: "Okay. Is the tire flat right now, or losing air slowly?",
+    noise: "I hear you. Is it more like a clunk, knock, or rattle, and does it happen over bumps, turning, or accelerating?",
+    leak: "Understood. What color is the fluid? And is it leaking while parked or only when running?",
+    general: "Okay, tell me more about what's happening.",
+  },
+  es: {
+    brakes: "Entendido. ¿Escucha un chirrido o un rechinido metálico, y pasa solo al frenar o todo el tiempo?",
+    pulling_alignment: "De acuerdo. ¿Se jala más a velocidades altas, y el volante vibra o se queda chueco?",
+    no_start: "Entiendo. Cuando gira la llave, ¿escucha un clic, intenta arrancar, o no hace nada? ¿Y se prenden las luces del tablero?",
+    overheating: "Entendido. ¿La aguja de temperatura llega a la zona roja, o ha visto vapor o fugas de anticongelante? ¿Cuánto tiempo después de manejar pasa?",
+    check_engine: "De acuerdo. ¿El carro está fallando o pierde potencia? ¿Y la luz parpadea o está fija?",
+    transmission: "Ya veo. ¿Se patina, hace cambios bruscos o no entra la marcha? ¿Alguna luz de advertencia?",
+    ac: "Entendido. ¿Sale aire caliente todo el tiempo o solo cuando está detenido? ¿Algún ruido raro con el aire prendido?",
+    electrical: "Entendido. ¿Ve luces que bajan de intensidad, un aviso de batería o fallas eléctricas intermitentes? ¿Cuándo empezó?",
+    tire: "De acuerdo. ¿La llanta está ponchada ahora mismo o pierde aire poco a poco?",
+    noise: "Le entiendo. ¿Es más como un golpe, un golpeteo o un traqueteo, y pasa en baches, al girar o al acelerar?",
+    leak: "Entendido. ¿De qué color es el líquido? ¿Y gotea estando estacionado o solo con el motor prendido?",
+    general: "De acuerdo, cuénteme más sobre lo que está pasando.",
+  },
+  pt: {
+    brakes: "Entendi. Você está ouvindo um chiado ou um barulho de raspagem, e acontece só ao frear ou o tempo todo?",
+    pulling_alignment: "Certo. Ele puxa mais em velocidades altas, e o volante treme ou fica torto?",
+    no_start: "Entendo. Quando você gira a chave, ouve um clique, o motor tenta pegar, ou nada? E as luzes do painel acendem?",
+    overheating: "Entendi. O marcador de temperatura chegou no vermelho, ou você viu vapor ou vazamento de líquido de arrefecimento? Quanto tempo depois de dirigir acontece?",
+    check_engine: "Certo. O carro está falhando ou perdendo força? E a luz está piscando ou acesa direto?",
+    transmission: "Entendo. O câmbio está patinando, trocando marcha com tranco, ou a marcha não entra? Alguma luz de aviso?",
+    ac: "Entendi. Sai ar quente o tempo todo ou só com o carro parado? Algum barulho estranho com o ar ligado?",
+    electrical: "Entendi. As luzes estão fracas, aparece aviso de bateria, ou a parte elétrica falha às vezes? Quando começou?",
+    tire: "Certo. O pneu está furado agora ou perdendo ar aos poucos?",
+    noise: "Entendi. Parece mais uma batida, um estalo ou um chocalho, e acontece em buracos, nas curvas ou ao acelerar?",
+    leak: "Entendi. Qual é a cor do líquido? E vaza com o carro parado ou só com ele ligado?",
+    general: "Certo, me conte mais sobre o que está acontecendo.",
+  },
+};
+
+// Everything the bot says, by language. Entries are strings or functions of a vars object.
+const PROMPTS = {
+  en: {
+    voiceGreeting: "Thanks for calling Mass Mechanic — we connect you with trusted local mechanics for fast, free repair quotes. Tell me what's wrong with your car or ask me a quick question. To reach a person, press 0 at any time.",
+    voiceWelcomeBack: ({ name }) => `Welcome back to Mass Mechanic, ${name}! Tell me what's wrong with your car or ask me a quick question. To reach a person, press 0 at any time.`,
+    smsGreeting: "Thanks for texting Mass Mechanic — we connect you with trusted local mechanics for fast, free repair quotes.",
+    smsWelcomeBack: ({ name }) => `Welcome back to Mass Mechanic, ${name}! Good to hear from you again.`,
+    keypadOffer: "",
+    askIssue: "Tell me what's wrong with your car.",
+    askCar: "What's the make and model of your car?",
+    askModel: ({ car }) => `And what model is your ${car}?`,
+    carRetry: "Sorry, I didn't catch the make and model. Could you say it once more? If it's easier, you can read me the VIN instead.",
+    knownCar: ({ car }) => `Is this about the same vehicle — your ${car}?`,
+    knownName: ({ name }) => `Just to check — am I speaking with ${name}?`,
+    vinStart: ({ isVoice }) => (isVoice
+      ? "Sure — go ahead and read me the 17-character VIN, a few characters at a time. Or say skip."
+      : "Sure — what's the 17-character VIN? Or reply skip."),
+    vinProgress: ({ count }) => `Got ${count} character${count === 1 ? "" : "s"} so far — go ahead with the rest.`,
+    vinBad: "Hmm, that VIN doesn't check out. Could you give it to me once more from the start? Or say skip.",
+    askName: "And what's your first name?",
+    askZip: ({ isVoice }) => `What's your 5-digit ZIP code?${isVoice ? " You can also type it on your keypad, then press pound." : ""}`,
+    zipConfirm: ({ zip, town }) => `That's ${zip}, ${town} — right?`,
+    knownZip: ({ zip }) => `Are you still near ZIP ${zip}?`,
+    zipUnknown: ({ zip }) => `Hmm, I don't have ${zip} as a Massachusetts ZIP code. Could you give me your 5-digit ZIP again?`,
+    zipWhere: ({ zip }) => `ZIP ${zip}`,
+    outOfArea: ({ where }) => `I'm sorry — we don't currently have mechanics covering ${where}. We only work with shops in our Massachusetts service area, so we can't send this one out. Thanks for reaching out to Mass Mechanic, and take care.`,
+    askPhone: ({ isVoice }) => (isVoice
+      ? "And what's your 10-digit phone number? Say the digits slowly, three at a time, or type them on your keypad, then press pound."
+      : "And what's your 10-digit phone number?"),
+    knownPhone: ({ phone }) => `Should the mechanic reach you at ${phone}?`,
+    callerId: ({ phone, isVoice }) => (isVoice
+      ? `I have your number as ${phone}. Is this the best number to reach you?`
+      : `Is this number, ${phone}, the best one to reach you?`),
+    missingDigits: ({ heard, remaining }) => `I got ${heard} so far — what ${remaining === 1 ? "is the last digit" : `are the last ${remaining} digits`}?`,
+    askUrgency: "When do you need the repair done — today, within a few days, or next week?",
+    clarifyUrgency: "Sorry, just so I send this to the right shop — is it an emergency, do you need it today, sometime this week, or is your timing flexible?",
+    askDrivable: "Can you drive the car to a shop, or does it need to be towed?",
+    clarifyDrivable: "Got it — so can the car make it to a shop on its own, only a short distance, or does it need a tow?",
+    confirmDetails: ({ name, town, zip, phone, car, issue, isVoice }) =>
+      `To confirm: you're ${name} in ${town ? `${town}, ` : ""}ZIP ${zip}, phone ${phone}, the car is a ${car}, and the issue is "${issue}". Is that right?` +
+      (isVoice ? " You can also press 1 for yes or 2 for no." : ""),
+    confirmUnclear: ({ isVoice }) => `Sorry, I didn't catch that. Is that information correct?${isVoice ? " Press 1 for yes or 2 for no." : ""}`,
+    whatToCorrect: "No problem — what should I correct?",
+    correctUnclear: "Sorry, I didn't catch that. What would you like to correct?",
+    correctionNoted: ({ changes }) => `Got it — I've updated ${changes}.`,
+    confirmChanges: ({ changes, isVoice }) =>
+      `Got it — I've updated ${changes}. Is everything correct now?${isVoice ? " You can also press 1 for yes or 2 for no." : ""}`,
+    correctZip: ({ isVoice }) => `Okay, what's your 5-digit ZIP code?${isVoice ? " You can also type it on your keypad, then press pound." : ""}`,
+    correctName: "Okay, what's your first name?",
+    correctCar: "Okay, what's the make and model of your car?",
+    correctIssue: "Okay, tell me what's wrong with your car.",
+    correctPhone: ({ isVoice }) => (isVoice
+      ? "Okay, what's your 10-digit phone number? Say the digits slowly, three at a time, or type them on your keypad, then press pound."
+      : "Okay, what's your 10-digit phone number?"),
+    correctUrgency: "Okay, when do you need the repair done?",
+    correctDrivable: "Okay, can you drive the car, or does it need to be towed?",
+    glitch: ({ isVoice }) => (isVoice
+      ? "Sorry — I had a quick technical glitch. Please text us your ZIP and car issue, and we'll follow up right away."
+      : "Sorry — I had a quick technical glitch. Please reply again in a moment."),
+    transferNow: "Got it — connecting you to an operator now.",
+    ttsFallback: "Sorry — I'm having a little trouble on my end. Please stay on the line.",
+    noInput: "Sorry, I didn't hear anything.",
+    stillThere: "Are you still there?",
+    noInputGoodbye: "I can't hear you, so I'm going to hang up. Call or text us at this number anytime. Goodbye!",
+    maxDurationGoodbye: "Sorry, we've reached the time limit for this call. Call or text us back at this number and we'll help you from there. Goodbye!",
+    sttLost: "Sorry, I'm having trouble hearing you.",
+    sttLostTransfer: "Sorry, I'm having trouble hearing you, so I'll connect you to an operator now.",
+    transferClosed: ({ nextOpen }) => `Our team is offline right now${nextOpen ? ` — we're back ${nextOpen}` : ""}. I'll put you through to voicemail so someone can call you back.`,
+    smsHumanOpen: "Got it — someone from our team will reach out to you at this number shortly.",
+    smsHumanClosed: ({ nextOpen }) => `Got it — our team is offline right now, but someone will reach out at this number${nextOpen ? ` when we're back ${nextOpen}` : " as soon as we're back"}.`,
+    voiceGoodbye: ({ name, zip, texted }) =>
+      `Perfect — thanks, ${name}. We'll connect you with a trusted local mechanic near ZIP ${zip}. ` +
+      `${texted ? "We're texting you a confirmation now, and a mechanic" : "A mechanic"} will contact you shortly. Thanks for calling Mass Mechanic. Goodbye!`,
+    smsGoodbye: ({ name, leadCode, zip }) => `Perfect — thanks, ${name}. ${leadCode ? `Your request code is ${leadCode}. ` : ""}We'll connect you with a trusted local mechanic near ZIP ${zip}. A mechanic will contact you shortly. Thanks for texting Mass Mechanic!`,
+    confirmationSms: ({ name, leadCode, car, issue, zip }) =>
+      `Mass Mechanic: Thanks${name ? `, ${name}` : ""}! Your repair request ${leadCode} is in.\n` +
+      `${car || "your car"}${issue ? ` — ${issue}` : ""}\n` +
+      `ZIP: ${zip}\n` +
+      `Next: a trusted local mechanic will call or text you shortly with a quote. Reply to this text if anything changes.`,
+    // <Say> lines in the /transfer TwiML
+    connecting: "Connecting you now.",
+    voicemailClosed: "Sorry, our team isn't available right now.",
+    voicemailNoAnswer: "Sorry — nobody could pick up.",
+    voicemailAsk: "Please leave your name, number, and what's going on with your car after the beep, and we'll call you back.",
+    voicemailEmpty: "We didn't get a message. Please text us at this number and we'll follow up. Goodbye.",
+    voicemailThanks: "Thanks — we got your message and someone will call you back. Goodbye.",
+  },
+  es: {
+    voiceGreeting: "Gracias por llamar a Mass Mechanic — lo conectamos con mecánicos locales de confianza para cotizaciones de reparación rápidas y gratis. Dígame qué le pasa a su carro o hágame una pregunta. Para hablar con una persona, oprima 0 en cualquier momento.",
+    voiceWelcomeBack: ({ name }) => `¡Qué gusto saludarle de nuevo, ${name}! Dígame qué le pasa a su carro o hágame una pregunta. Para hablar con una persona, oprima 0 en cualquier momento.`,
+    smsGreeting: "Gracias por escribir a Mass Mechanic — lo conectamos con mecánicos locales de confianza para cotizaciones de reparación rápidas y gratis.",
+    smsWelcomeBack: ({ name }) => `¡Qué gusto saludarle de nuevo, ${name}! Gracias por escribir a Mass Mechanic.`,
+    keypadOffer: "Para español, oprima 2.",
+    askIssue: "Dígame qué le pasa a su carro.",
+    askCar: "¿Cuál es la marca y el modelo de su carro?",
+    askModel: ({ car }) => `¿Y qué modelo es su ${car}?`,
+    carRetry: "Perdón, no entendí la marca y el modelo. ¿Me lo puede repetir? Si le resulta más fácil, puede leerme el VIN.",
+    knownCar: ({ car }) => `¿Es sobre el mismo vehículo, su ${car}?`,
+    knownName: ({ name }) => `Para confirmar, ¿hablo con ${name}?`,
+    vinStart: ({ isVoice }) => (isVoice
+      ? "Claro — léame el VIN de 17 caracteres, unos pocos a la vez. O diga «saltar»."
+      : "Claro — ¿cuál es el VIN de 17 caracteres? O responda «saltar»."),
+    vinProgress: ({ count }) => `Tengo ${count} ${count === 1 ? "carácter" : "caracteres"} hasta ahora — continúe con el resto.`,
+    vinBad: "Mmm, ese VIN no parece correcto. ¿Me lo puede dar otra vez desde el principio? O diga «saltar».",
+    askName: "¿Y cuál es su nombre?",
+    askZip: ({ isVoice }) => `¿Cuál es su código postal de 5 dígitos?${isVoice ? " También puede marcarlo en el teclado y oprimir la tecla de numeral." : ""}`,
+    zipConfirm: ({ zip, town }) => `Es el ${zip}, ${town}, ¿correcto?`,
+    knownZip: ({ zip }) => `¿Sigue cerca del código postal ${zip}?`,
+    zipUnknown: ({ zip }) => `Mmm, no encuentro ${zip} como código postal de Massachusetts. ¿Me puede dar su código postal de 5 dígitos otra vez?`,
+    zipWhere: ({ zip }) => `el código postal ${zip}`,
+    outOfArea: ({ where }) => `Lo siento — por ahora no tenemos mecánicos que cubran ${where}. Solo trabajamos con talleres de nuestra zona de servicio en Massachusetts, así que no podemos enviar esta solicitud. Gracias por comunicarse con Mass Mechanic, y cuídese.`,
+    askPhone: ({ isVoice }) => `¿Y cuál es su número de teléfono de 10 dígitos?${isVoice ? " Dígame los números despacio, de tres en tres, o márquelos en el teclado y oprima la tecla de numeral." : ""}`,
+    knownPhone: ({ phone }) => `¿El mecánico puede comunicarse con usted al ${phone}?`,
+    callerId: ({ phone, isVoice }) => (isVoice
+      ? `Tengo su número como ${phone}. ¿Es el mejor número para comunicarnos con usted?`
+      : `¿Este número, ${phone}, es el mejor para comunicarnos con usted?`),
+    missingDigits: ({ heard, remaining }) => `Tengo ${heard} hasta ahora — ¿${remaining === 1 ? "cuál es el último dígito" : `cuáles son los últimos ${remaining} dígitos`}?`,
+    askUrgency: "¿Para cuándo necesita la reparación — hoy, en unos días o la próxima semana?",
+    clarifyUrgency: "Perdón, para enviarlo al taller adecuado — ¿es una emergencia, lo necesita hoy, esta semana, o tiene flexibilidad?",
+    askDrivable: "¿Puede manejar el carro hasta un taller o necesita una grúa?",
+    clarifyDrivable: "Entendido — entonces, ¿el carro puede llegar a un taller por sí solo, solo una distancia corta, o necesita grúa?",
+    confirmDetails: ({ name, town, zip, phone, car, issue, isVoice }) =>
+      `Para confirmar: usted es ${name}, en ${town ? `${town}, ` : ""}código postal ${zip}, teléfono ${phone}, el carro es un ${car} y el problema es "${issue}". ¿Es correcto?` +
+      (isVoice ? " También puede oprimir 1 para sí o 2 para no." : ""),
+    confirmUnclear: ({ isVoice }) => `Perdón, no le entendí. ¿La información es correcta?${isVoice ? " Oprima 1 para sí o 2 para no." : ""}`,
+    whatToCorrect: "No hay problema — ¿qué debo corregir?",
+    correctUnclear: "Perdón, no le entendí. ¿Qué le gustaría corregir?",
+    correctionNoted: ({ changes }) => `Entendido — cambié ${changes}.`,
+    confirmChanges: ({ changes, isVoice }) =>
+      `Entendido — cambié ${changes}. ¿Ahora todo está correcto?${isVoice ? " También puede oprimir 1 para sí o 2 para no." : ""}`,
+    correctZip: ({ isVoice }) => `Está bien, ¿cuál es su código postal de 5 dígitos?${isVoice ? " También puede marcarlo en el teclado y oprimir la tecla de numeral." : ""}`,
+    correctName: "Está bien, ¿cuál es su nombre?",
+    correctCar: "Está bien, ¿cuál es la marca y el modelo de su carro?",
+    correctIssue: "Está bien, dígame qué le pasa a su carro.",
+    correctPhone: ({ isVoice }) => `Está bien, ¿cuál es su número de teléfono de 10 dígitos?${isVoice ? " Dígame los números despacio, de tres en tres, o márquelos en el teclado y oprima la tecla de numeral." : ""}`,
+    correctUrgency: "Está bien, ¿para cuándo necesita la reparación?",
+    correctDrivable: "Está bien, ¿puede manejar el carro o necesita una grúa?",
+    glitch: ({ isVoice }) => (isVoice
+      ? "Perdón — tuve una pequeña falla técnica. Envíenos un mensaje de texto con su código postal y el problema de su carro, y le responderemos enseguida."
+      : "Perdón — tuve una pequeña falla técnica. Vuelva a responder en un momento."),
+    transferNow: "Entendido — le comunico con un operador ahora mismo.",
+    ttsFallback: "Perdón — estoy teniendo un pequeño problema técnico. Por favor, no cuelgue.",
+    noInput: "Perdón, no escuché nada.",
+    stillThere: "¿Sigue ahí?",
+    noInputGoodbye: "No le escucho, así que voy a colgar. Llámenos o envíenos un mensaje de texto a este número cuando quiera. ¡Adiós!",
+    maxDurationGoodbye: "Perdón, llegamos al límite de tiempo de esta llamada. Llámenos o envíenos un mensaje de texto a este número y le ayudamos. ¡Adiós!",
+    sttLost: "Perdón, tengo problemas para escucharle.",
+    sttLostTransfer: "Perdón, tengo problemas para escucharle, así que le comunico con un operador ahora mismo.",
+    transferClosed: ({ nextOpen }) => `Nuestro equipo no está disponible en este momento${nextOpen ? ` — volvemos ${nextOpen}` : ""}. Le paso al buzón de voz para que alguien le devuelva la llamada.`,
+    smsHumanOpen: "Entendido — alguien de nuestro equipo se comunicará con usted a este número muy pronto.",
+    smsHumanClosed: ({ nextOpen }) => `Entendido — nuestro equipo no está disponible ahora, pero alguien se comunicará con usted a este número${nextOpen ? ` cuando volvamos, ${nextOpen}` : " en cuanto volvamos"}.`,
+    voiceGoodbye: ({ name, zip, texted }) =>
+      `Perfecto — gracias, ${name}. Lo conectaremos con un mecánico local de confianza cerca del código postal ${zip}. ` +
+      `${texted ? "Le estamos enviando una confirmación por mensaje de texto, y un mecánico" : "Un mecánico"} se comunicará con usted pronto. Gracias por llamar a Mass Mechanic. ¡Adiós!`,
+    smsGoodbye: ({ name, leadCode, zip }) => `Perfecto — gracias, ${name}. ${leadCode ? `Su código de solicitud es ${leadCode}. ` : ""}Lo conectaremos con un mecánico local de confianza cerca del código postal ${zip}. Un mecánico se comunicará con usted pronto. ¡Gracias por escribir a Mass Mechanic!`,
+    confirmationSms: ({ name, leadCode, car, issue, zip }) =>
+      `Mass Mechanic: ¡Gracias${name ? `, ${name}` : ""}! Recibimos su solicitud de reparación ${leadCode}.\n` +
+      `${car || "Su carro"}${issue ? ` — ${issue}` : ""}\n` +
+      `Código postal: ${zip}\n` +
+      `Próximo paso: un mecánico local de confianza le llamará o escribirá pronto con una cotización. Responda a este mensaje si algo cambia.`,
+    connecting: "Le comunico ahora.",
+    voicemailClosed: "Lo sentimos, nuestro equipo no está disponible en este momento.",
+    voicemailNoAnswer: "Lo sentimos — nadie pudo contestar.",
+    voicemailAsk: "Por favor, deje su nombre, su número y lo que le pasa a su carro después del tono, y le devolveremos la llamada.",
+    voicemailEmpty: "No recibimos ningún mensaje. Envíenos un mensaje de texto a este número y le responderemos. Adiós.",
+    voicemailThanks: "Gracias — recibimos su mensaje y alguien le devolverá la llamada. Adiós.",
+  },
+  pt: {
+    voiceGreeting: "Obrigado por ligar para a Mass Mechanic — conectamos você com mecânicos locais de confiança para orçamentos de conserto rápidos e gratuitos. Me conte o que está acontecendo com o seu carro ou faça uma pergunta. Para falar com uma pessoa, aperte 0 a qualquer momento.",
+    voiceWelcomeBack: ({ name }) => `Que bom falar com você de novo, ${name}! Me conte o que está acontecendo com o seu carro ou faça uma pergunta. Para falar com uma pessoa, aperte 0 a qualquer momento.`,
+    smsGreeting: "Obrigado por escrever para a Mass Mechanic — conectamos você com mecânicos locais de confiança para orçamentos de conserto rápidos e gratuitos.",
+    smsWelcomeBack: ({ name }) => `Que bom falar com você de novo, ${name}! Obrigado por escrever para a Mass Mechanic.`,
+    keypadOffer: "Para português, aperte 3.",
+    askIssue: "Me conte o que está acontecendo com o seu carro.",
+    askCar: "Qual é a marca e o modelo do seu carro?",
+    askModel: ({ car }) => `E qual é o modelo do seu ${car}?`,
+    carRetry: "Desculpe, não entendi a marca e o modelo. Pode repetir? Se for mais fácil, pode ler para mim o VIN (número do chassi).",
+    knownCar: ({ car }) => `É sobre o mesmo veículo, o seu ${car}?`,
+    knownName: ({ name }) => `Só para confirmar: estou falando com ${name}?`,
+    vinStart: ({ isVoice }) => (isVoice
+      ? "Claro — leia para mim o VIN de 17 caracteres, alguns de cada vez. Ou diga «pular»."
+      : "Claro — qual é o VIN de 17 caracteres? Ou responda «pular»."),
+    vinProgress: ({ count }) => `Anotei ${count} ${count === 1 ? "caractere" : "caracteres"} até agora — pode continuar.`,
+    vinBad: "Hmm, esse VIN não confere. Pode me passar de novo desde o começo? Ou diga «pular».",
+    askName: "E qual é o seu primeiro nome?",
+    askZip: ({ isVoice }) => `Qual é o seu código postal (ZIP) de 5 dígitos?${isVoice ? " Você também pode digitar no teclado e apertar a tecla jogo da velha." : ""}`,
+    zipConfirm: ({ zip, town }) => `É ${zip}, ${town}, certo?`,
+    knownZip: ({ zip }) => `Você ainda está perto do código postal ${zip}?`,
+    zipUnknown: ({ zip }) => `Hmm, não encontrei ${zip} como código postal de Massachusetts. Pode me passar o seu código de 5 dígitos de novo?`,
+    zipWhere: ({ zip }) => `o código postal ${zip}`,
+    outOfArea: ({ where }) => `Sinto muito — no momento não temos mecânicos atendendo ${where}. Só trabalhamos com oficinas na nossa área de atendimento em Massachusetts, então não conseguimos encaminhar este pedido. Obrigado por entrar em contato com a Mass Mechanic, e se cuide.`,
+    askPhone: ({ isVoice }) => `E qual é o seu número de telefone de 10 dígitos?${isVoice ? " Fale os números devagar, de três em três, ou digite no teclado e aperte a tecla jogo da velha." : ""}`,
+    knownPhone: ({ phone }) => `O mecânico pode falar com você no ${phone}?`,
+    callerId: ({ phone, isVoice }) => (isVoice
+      ? `Tenho o seu número como ${phone}. É o melhor número para falar com você?`
+      : `Este número, ${phone}, é o melhor para falar com você?`),
+    missingDigits: ({ heard, remaining }) => `Anotei ${heard} até agora — ${remaining === 1 ? "qual é o último dígito" : `quais são os últimos ${remaining} dígitos`}?`,
+    askUrgency: "Para quando você precisa do conserto — hoje, em alguns dias ou na semana que vem?",
+    clarifyUrgency: "Desculpe, só para eu mandar para a oficina certa — é uma emergência, precisa para hoje, para esta semana, ou o prazo é flexível?",
+    askDrivable: "Dá para levar o carro dirigindo até uma oficina, ou ele precisa de guincho?",
+    clarifyDrivable: "Entendi — então o carro consegue chegar a uma oficina sozinho, só uma distância curta, ou precisa de guincho?",
+    confirmDetails: ({ name, town, zip, phone, car, issue, isVoice }) =>
+      `Para confirmar: você é ${name}, em ${town ? `${town}, ` : ""}código postal ${zip}, telefone ${phone}, o carro é um ${car} e o problema é "${issue}". Está correto?` +
+      (isVoice ? " Você também pode apertar 1 para sim ou 2 para não." : ""),
+    confirmUnclear: ({ isVoice }) => `Desculpe, não entendi. As informações estão corretas?${isVoice ? " Aperte 1 para sim ou 2 para não." : ""}`,
+    whatToCorrect: "Sem problema — o que devo corrigir?",
+    correctUnclear: "Desculpe, não entendi. O que você gostaria de corrigir?",
+    correctionNoted: ({ changes }) => `Certo — mudei ${changes}.`,
+    confirmChanges: ({ changes, isVoice }) =>
+      `Certo — mudei ${changes}. Agora está tudo certo?${isVoice ? " Você também pode apertar 1 para sim ou 2 para não." : ""}`,
+    correctZip: ({ isVoice }) => `Tudo bem, qual é o seu código postal de 5 dígitos?${isVoice ? " Você também pode digitar no teclado e apertar a tecla jogo da velha." : ""}`,
+    correctName: "Tudo bem, qual é o seu primeiro nome?",
+    correctCar: "Tudo bem, qual é a marca e o modelo do seu carro?",
+    correctIssue: "Tudo bem, me conte o que está acontecendo com o seu carro.",
+    correctPhone: ({ isVoice }) => `Tudo bem, qual é o seu número de telefone de 10 dígitos?${isVoice ? " Fale os números devagar, de três em três, ou digite no teclado e aperte a tecla jogo da velha." : ""}`,
+    correctUrgency: "Tudo bem, para quando você precisa do conserto?",
+    correctDrivable: "Tudo bem, dá para dirigir o carro ou ele precisa de guincho?",
+    glitch: ({ isVoice }) => (isVoice
+      ? "Desculpe — tive uma pequena falha técnica. Mande uma mensagem de texto com o seu código postal e o problema do carro, e retornaremos logo."
+      : "Desculpe — tive uma pequena falha técnica. Responda de novo daqui a pouco."),
+    transferNow: "Certo — vou transferir você para um atendente agora.",
+    ttsFallback: "Desculpe — estou com um pequeno problema técnico. Por favor, não desligue.",
+    noInput: "Desculpe, não ouvi nada.",
+    stillThere: "Você ainda está aí?",
+    noInputGoodbye: "Não estou conseguindo ouvir você, então vou desligar. Ligue ou mande uma mensagem para este número quando quiser. Tchau!",
+    maxDurationGoodbye: "Desculpe, chegamos ao limite de tempo desta ligação. Ligue ou mande uma mensagem para este número e a gente ajuda você. Tchau!",
+    sttLost: "Desculpe, estou com dificuldade para ouvir você.",
+    sttLostTransfer: "Desculpe, estou com dificuldade para ouvir você, então vou transferir você para um atendente agora.",
+    transferClosed: ({ nextOpen }) => `Nossa equipe está fora do horário agora${nextOpen ? ` — voltamos ${nextOpen}` : ""}. Vou passar você para a caixa postal para alguém retornar a ligação.`,
+    smsHumanOpen: "Certo — alguém da nossa equipe vai entrar em contato com você neste número em breve.",
+    smsHumanClosed: ({ nextOpen }) => `Certo — nossa equipe está fora do horário agora, mas alguém vai entrar em contato neste número${nextOpen ? ` quando voltarmos, ${nextOpen}` : " assim que voltarmos"}.`,
+    voiceGoodbye: ({ name, zip, texted }) =>
+      `Perfeito — obrigado, ${name}. Vamos conectar você com um mecânico local de confiança perto do código postal ${zip}. ` +
+      `${texted ? "Estamos enviando uma confirmação por mensagem de texto, e um mecânico" : "Um mecânico"} vai entrar em contato em breve. Obrigado por ligar para a Mass Mechanic. Tchau!`,
+    smsGoodbye: ({ name, leadCode, zip }) => `Perfeito — obrigado, ${name}. ${leadCode ? `O código do seu pedido é ${leadCode}. ` : ""}Vamos conectar você com um mecânico local de confiança perto do código postal ${zip}. Um mecânico vai entrar em contato em breve. Obrigado por escrever para a Mass Mechanic!`,
+    confirmationSms: ({ name, leadCode, car, issue, zip }) =>
+      `Mass Mechanic: Obrigado${name ? `, ${name}` : ""}! Recebemos o seu pedido de conserto ${leadCode}.\n` +
+      `${car || "Seu carro"}${issue ? ` — ${issue}` : ""}\n` +
+      `Código postal: ${zip}\n` +
+      `Próximo passo: um mecânico local de confiança vai ligar ou mandar mensagem em breve com um orçamento. Responda a esta mensagem se algo mudar.`,
+    connecting: "Transferindo agora.",
+    voicemailClosed: "Desculpe, nossa equipe não está disponível no momento.",
+    voicemailNoAnswer: "Desculpe — ninguém conseguiu atender.",
+    voicemailAsk: "Por favor, deixe seu nome, seu número e o que está acontecendo com o seu carro depois do sinal, e retornaremos a ligação.",
+    voicemailEmpty: "Não recebemos nenhuma mensagem. Mande uma mensagem de texto para este número e retornaremos. Tchau.",
+    voicemailThanks: "Obrigado — recebemos sua mensagem e alguém vai retornar a ligação. Tchau.",
+  },
+};
+
+// How a corrected field is read back: "your ZIP to 02145, Somerville, and your name to Dave"
+const CHANGE_LABELS = {
+  en: {
+    to: "to",
+    and: "and",
+    fields: {
+      zip: "your ZIP", name: "your name", phone: "your phone number", car: "the car",
+      issue: "the issue", urgency: "the timing", drivable: "whether it's drivable",
+    },
+    urgency: { emergency: "an emergency", today: "today", this_week: "this week", flexible: "flexible" },
+    drivable: { yes: "yes", limp: "only short distances", no_needs_tow: "needs a tow" },
+  },
+  es: {
+    to: "a",
+    and: "y",
+    fields: {
+      zip: "su código postal", name: "su nombre", phone: "su teléfono", car: "el carro",
+      issue: "el problema", urgency: "cuándo lo necesita", drivable: "si se puede manejar",
+    },
+    urgency: { emergency: "una emergencia", today: "hoy", this_week: "esta semana", flexible: "sin prisa" },
+    drivable: { yes: "sí", limp: "solo distancias cortas", no_needs_tow: "necesita grúa" },
+  },
+  pt: {
+    to: "para",
+    and: "e",
+    fields: {
+      zip: "seu código postal", name: "seu nome", phone: "seu telefone", car: "o carro",
+      issue: "o problema", urgency: "quando você precisa", drivable: "se dá para dirigir",
+    },
+    urgency: { emergency: "uma emergência", today: "hoje", this_week: "esta semana", flexible: "sem pressa" },
+    drivable: { yes: "sim", limp: "só distâncias curtas", no_needs_tow: "precisa de guincho" },
+  },
+};
+
+// promptText("es", "askZip") / promptText(lang, "zipConfirm", { zip, town })
+function promptText(lang, key, vars = {}) {
+  const entry = PROMPTS[languageOf(lang)][key] ?? PROMPTS.en[key];
+  return typeof entry === "function" ? entry(vars) : entry;
+}
+
+// Twilio <Say> attributes for the TwiML-only parts of a call (transfer, voicemail)
+function twilioSayAttrs(lang) {
+  const say = LANGUAGES[languageOf(lang)].twilioSay;
+  return say ? ` voice="${say.voice}" language="${say.language}"` : "";
+}
+
+//────────────────────────────────────────────────────────────────────────────────
+// 6) SPEECH & LLM PROVIDERS
+//────────────────────────────────────────────────────────────────────────────────
+
+// Everything vendor-specific about hearing, speaking and understanding the caller lives
+// here; the call flow only sees these three interfaces. The "fake" providers need no
+// network or keys, so the whole call can be exercised locally (STT_PROVIDER=fake etc).
+
+/**
+ * STT: openSession({ stt, callSid, onOpen, onTranscript, onError, onClose }) starts a live
+ * transcription session for 8 kHz mulaw audio and returns { send(audio), close(), isOpen() }.
+ * onTranscript gets { transcript, isFinal, languages } — languages as the vendor detected them.
+ */
+const STT_PROVIDERS = {
+  deepgram: {
+    openSession({ stt, onOpen, onTranscript, onError, onClose }) {
+      const socket = new WebSocket(
+        `wss://api.deepgram.com/v1/listen?encoding=mulaw&sample_rate=8000&model=${stt.model}&language=${stt.language}&smart_format=true&interim_results=true`,
+        { headers: { Authorization: `Token ${DEEPGRAM_API_KEY}` } }
+      );
+      
+      // Deepgram closes a stream that goes ~10s without audio; KeepAlive covers stretches
+      // where no caller audio is flowing, like a long bot turn
+      let lastAudioAt = Date.now();
+      const keepAlive = setInterval(() => {
+        if (socket.readyState !== WebSocket.OPEN || Date.now() - lastAudioAt < DEEPGRAM_KEEPALIVE_MS) return;
+        socket.send(JSON.stringify({ type: "KeepAlive" }));
+      }, DEEPGRAM_KEEPALIVE_MS);
+      
+      socket.on("open", () => onOpen?.());
+      socket.on("message", (data) => {
+        let received;
+        try {
+          received = JSON.parse(data);
+        } catch {
+          return;
+        }
+        const alternative = received.channel?.alternatives?.[0];
+        if (!alternative?.transcript) return;
+        onTranscript({
+          transcript: alternative.transcript,
+          isFinal: Boolean(received.is_final),
+          languages: alternative.languages || [],
+        });
+      });
+      socket.on("error", (err) => onError?.(err));
+      socket.on("close", (code) => {
+        clearInterval(keepAlive);
+        onClose?.(code);
+      });
+      
+      return {
+        send: (audio) => {
+          if (socket.readyState !== WebSocket.OPEN) return;
+          socket.send(audio);
+          lastAudioAt = Date.now();
+        },
+        close: () => {
+          try { socket.close(); } catch {}
+        },
+        isOpen: () => socket.readyState === WebSocket.OPEN,
+      };
+    },
+  },
+  
+  // Ignores the audio and "hears" FAKE_STT_SCRIPT instead, one line every FAKE_STT_INTERVAL_MS
+  fake: {
+    openSession({ callSid, onOpen, onTranscript, onError, onClose }) {
+      const key = callSid || "local";
+      let open = true;
+      if (!fakeSttCursors.has(key) && fakeSttCursors.size >= FAKE_STT_MAX_CALLS) {
+        fakeSttCursors.delete(fakeSttCursors.keys().next().value);
+      }
+      
+      // Never opens, like the vendor being unreachable
+      if (FAKE_STT_DOWN) {
+        open = false;
+        setImmediate(() => {
+          onError?.(new Error("fake STT is down (FAKE_STT_DOWN)"));
+          onClose?.(1006);
+        });
+        return { send: () => {}, close: () => {}, isOpen: () => false };
+      }
+      
+      const timer = setInterval(() => {
+        const next = fakeSttCursors.get(key) || 0;
+        if (next >= FAKE_STT_SCRIPT.length) return clearInterval(timer);
+        fakeSttCursors.set(key, next + 1);
+        onTranscript({ transcript: FAKE_STT_SCRIPT[next], isFinal: true, languages: [] });
+      }, FAKE_STT_INTERVAL_MS);
+      setImmediate(() => open && onOpen?.());
+      
+      // Simulates the vendor dropping the stream mid-call
+      if (FAKE_STT_DROP_AFTER_MS > 0) {
+        setTimeout(() => {
+          if (!open) return;
+          open = false;
+          clearInterval(timer);
+          onError?.(new Error("fake STT stream dropped"));
+          onClose?.(1011);
+        }, FAKE_STT_DROP_AFTER_MS);
+      }
+      
+      return {
+        send: () => {},
+        close: () => {
+          if (!open) return;
+          open = false;
+          clearInterval(timer);
+          onClose?.(1000);
+        },
+        isOpen: () => open,
+      };
+    },
+  },
+};
+
+const DEEPGRAM_KEEPALIVE_MS = 4000;
+
+// "|"-separated caller lines for the fake STT; the default walks a complete intake
+const FAKE_STT_SCRIPT = String(
+  process.env.FAKE_STT_SCRIPT ||
+  "my brakes are grinding|only when I stop|2015 Honda Civic|my name is Sam|0 2 1 3 9|yes|6 1 7 5 5 5 1 2 3 4|this week|yes I can drive it|yes"
+).split("|").map((line) => line.trim()).filter(Boolean);
+const FAKE_STT_INTERVAL_MS = Number(process.env.FAKE_STT_INTERVAL_MS || 4000);
+// When set, every fake session drops this long after opening (exercises STT reconnects)
+const FAKE_STT_DROP_AFTER_MS = Number(process.env.FAKE_STT_DROP_AFTER_MS || 0);
+// FAKE_STT_DOWN=true: no session ever opens, so a call can't be heard at all
+const FAKE_STT_DOWN = process.env.FAKE_STT_DOWN === "true";
+
+// Script position per call, so reopening the session (language switch) doesn't start over
+const fakeSttCursors = new Map();
+const FAKE_STT_MAX_CALLS = 1000;
+
+/**
+ * TTS: stream({ text, voice, signal }) is an async iterable of raw 8 kHz mulaw Buffers,
+ * yielded as the vendor produces them; it throws on failure.
+ */
+const TTS_PROVIDERS = {
+  deepgram: {
+    async *stream({ text, voice, signal }) {
+      const res = await fetch(
+        `https://api.deepgram.com/v1/speak?model=${encodeURIComponent(voice)}&encoding=mulaw&sample_rate=8000&container=none`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Token ${DEEPGRAM_API_KEY}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ text }),
+          signal,
+        }
+      );
+      if (!res.ok) {
+        const errText = await res.text().catch(() => "");
+        throw new Error(`HTTP ${res.status} ${errText}`);
+      }
+      for await (const chunk of res.body) yield Buffer.from(chunk);
+    },
+  },
+  
+  // Roughly as long as reading `text` aloud: silence, or a quiet tone with FAKE_TTS_AUDIO=tone.
+  // FAKE_TTS_DOWN=true fails every request instead, so only the phrase cache can speak.
+  fake: {
+    async *stream({ text }) {
+      if (FAKE_TTS_DOWN) throw new Error("fake TTS is down (FAKE_TTS_DOWN)");
+      const ms = Math.min(Math.max(String(text).length * FAKE_TTS_MS_PER_CHAR, 400), 12000);
+      const audio = Buffer.alloc(ms * MULAW_BYTES_PER_MS, MULAW_SILENCE);
+      if (FAKE_TTS_AUDIO === "tone") {
+        for (let i = 0; i < audio.length; i++) {
+          audio[i] = linearToMulaw(Math.round(4000 * Math.sin((2 * Math.PI * 440 * i) / 8000)));
+        }
+      }
+      // Odd-sized pieces, like a real HTTP body
+      for (let i = 0; i < audio.length; i += 1000) yield audio.subarray(i, i + 1000);
+    },
+  },
+};
+
+const FAKE_TTS_AUDIO = (process.env.FAKE_TTS_AUDIO || "silence").toLowerCase();
+const FAKE_TTS_MS_PER_CHAR = 60;
+const FAKE_TTS_DOWN = process.env.FAKE_TTS_DOWN === "true";
+const MULAW_SILENCE = 0xff;
+
+// G.711 mu-law encoding of one 16-bit PCM sample
+function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), 32635) + 0x84;
+  let exponent = 7;
+  for (let mask = 0x4000; !(magnitude & mask) && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * LLM: completeJson({ system, user, schema, signal }) resolves to the object the model
+ * produced for `schema` (an OpenAI-style { name, strict, schema } JSON schema).
+ */
+const LLM_PROVIDERS = {
+  openai: {
+    async completeJson({ system, user, schema, signal }) {
+      const res = await fetch("https://api.openai.com/v1/chat/completions", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model: OPENAI_EXTRACTION_MODEL,
+          temperature: 0,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          response_format: { type: "json_schema", json_schema: schema },
+        }),
+        signal,
+      });
+      
+      if (!res.ok) {
+        const errText = await res.text().catch(() => "");
+        throw new Error(`HTTP ${res.status} ${errText.slice(0, 200)}`);
+      }
+      const json = await res.json();
+      const content = json?.choices?.[0]?.message?.content;
+      if (!content) throw new Error("empty response");
+      return JSON.parse(content);
+    },
+  },
+  
+  // Every schema property null, overlaid with FAKE_LLM_REPLY (a JSON object) when set.
+  // FAKE_LLM_DOWN=true fails every request instead, like an outage, so the regex extractors take over.
+  fake: {
+    async completeJson({ schema }) {
+      if (FAKE_LLM_DOWN) throw new Error("fake LLM is down (FAKE_LLM_DOWN)");
+      const blank = Object.fromEntries(Object.keys(schema?.schema?.properties || {}).map((key) => [key, null]));
+      return { ...blank, ...FAKE_LLM_REPLY };
+    },
+  },
+};
+
+const OPENAI_EXTRACTION_MODEL = process.env.OPENAI_EXTRACTION_MODEL || "gpt-4o-mini";
+
+const FAKE_LLM_DOWN = process.env.FAKE_LLM_DOWN === "true";
+
+const FAKE_LLM_REPLY = (() => {
+  if (!process.env.FAKE_LLM_REPLY) return {};
+  try {
+    return JSON.parse(process.env.FAKE_LLM_REPLY);
+  } catch {
+    console.error("❌ CRITICAL: FAKE_LLM_REPLY is not valid JSON");
+    process.exit(1);
+  }
+})();
+
+function pickProvider(kind, providers, name) {
+  if (providers[name]) return providers[name];
+  console.error(`❌ CRITICAL: Unknown ${kind}_PROVIDER "${name}" (expected ${Object.keys(providers).join(" or ")})`);
+  process.exit(1);
+}
+
+const sttProvider = pickProvider("STT", STT_PROVIDERS, STT_PROVIDER);
+const ttsProvider = pickProvider("TTS", TTS_PROVIDERS, TTS_PROVIDER);
+const llmProvider = pickProvider("LLM", LLM_PROVIDERS, LLM_PROVIDER);
+
+console.log(`🔌 Providers: STT=${STT_PROVIDER}, TTS=${TTS_PROVIDER}, LLM=${LLM_PROVIDER}${OFFLINE_MODE ? " (offline)" : ""}`);
+
+//────────────────────────────────────────────────────────────────────────────────
+// 7) HEALTH CHECK
+//────────────────────────────────────────────────────────────────────────────────
+
+app.get("/", (req, res) => res.send("MassMechanic Server is Awake 🤖"));
+
+//────────────────────────────────────────────────────────────────────────────────
+// 8) METRICS
+//────────────────────────────────────────────────────────────────────────────────
+
+// Optional bearer token for /metrics; unset leaves it open for an in-cluster scraper
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+const metricsRegistry = new client.Registry();
+client.collectDefaultMetrics({ register: metricsRegistry, prefix: "massmechanic_" });
+
+// Latency buckets for things the caller is waiting on (seconds)
+const WAIT_BUCKETS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8, 13];
+
+const metrics = {
+  activeCalls: new client.Gauge({
+    name: "massmechanic_active_calls",
+    help: "Voice calls with an authenticated media stream",
+    registers: [metricsRegistry],
+  }),
+  wsSessions: new client.Gauge({
+    name: "massmechanic_websocket_sessions",
+    help: "Open media stream WebSocket connections, authenticated or not",
+    registers: [metricsRegistry],
+  }),
+  smsSessions: new client.Gauge({
+    name: "massmechanic_sms_sessions",
+    help: "SMS conversations still in progress",
+    registers: [metricsRegistry],
+    collect() {
+      this.set(smsSessions.size);
+    },
+  }),
+  callOutcomes: new client.Counter({
+    name: "massmechanic_call_outcomes_total",
+    help: "Finished conversations by outcome (a transfer that reaches voicemail also counts as voicemail)",
+    labelNames: ["source", "outcome"],
+    registers: [metricsRegistry],
+  }),
+  ttsDuration: new client.Histogram({
+    name: "massmechanic_tts_request_duration_seconds",
+    help: "speakOverStream synthesis time per sentence attempt, until the last audio byte",
+    labelNames: ["result"],
+    buckets: WAIT_BUCKETS,
+    registers: [metricsRegistry],
+  }),
+  ttsRetries: new client.Counter({
+    name: "massmechanic_tts_retries_total",
+    help: "speakOverStream attempts retried after a failure",
+    registers: [metricsRegistry],
+  }),
+  ttsCacheHits: new client.Counter({
+    name: "massmechanic_tts_cache_hits_total",
+    help: "Sentences played from the phrase audio cache instead of calling the TTS provider",
+    registers: [metricsRegistry],
+  }),
+  ttsFailures: new client.Counter({
+    name: "massmechanic_tts_failures_total",
+    help: "Sentences that never (fully) played because every TTS attempt failed",
+    registers: [metricsRegistry],
+  }),
+  deepgramErrors: new client.Counter({
+    name: "massmechanic_deepgram_errors_total",
+    help: "Deepgram live transcription socket errors",
+    registers: [metricsRegistry],
+  }),
+  sttReconnects: new client.Counter({
+    name: "massmechanic_stt_reconnects_total",
+    help: "Mid-call STT stream recoveries; result=gave_up means the call was handed to a human",
+    labelNames: ["result"],
+    registers: [metricsRegistry],
+  }),
+  llmRequests: new client.Counter({
+    name: "massmechanic_openai_extraction_requests_total",
+    help: "OpenAI field extraction calls; result=error means the regex extractors were used instead",
+    labelNames: ["result"],
+    registers: [metricsRegistry],
+  }),
+  llmDuration: new client.Histogram({
+    name: "massmechanic_openai_extraction_duration_seconds",
+    help: "OpenAI field extraction latency",
+    labelNames: ["result"],
+    buckets: WAIT_BUCKETS,
+    registers: [metricsRegistry],
+  }),
+  responseLatency: new client.Histogram({
+    name: "massmechanic_final_transcript_to_audio_seconds",
+    help: "Time from the caller's final transcript to the bot's reply audio going out",
+    buckets: WAIT_BUCKETS,
+    registers: [metricsRegistry],
+  }),
+  leadInsertFailures: new client.Counter({
+    name: "massmechanic_lead_insert_failures_total",
+    help: "Confirmed intakes whose leads row could not be written",
+    labelNames: ["source"],
+    registers: [metricsRegistry],
+  }),
+};
+
+app.get("/metrics", async (req, res) => {
+  if (METRICS_TOKEN && String(req.headers.authorization || "") !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).send("unauthorized");
+  }
+  try {
+    res.set("Content-Type", metricsRegistry.contentType);
+    return res.send(await metricsRegistry.metrics());
+  } catch (e) {
+    console.error("❌ Metrics collection failed:", e);
+    return res.status(500).send("metrics unavailable");
+  }
+});
+
+//────────────────────────────────────────────────────────────────────────────────
+// 9) TWILIO VOICE WEBHOOKS
+//────────────────────────────────────────────────────────────────────────────────
+
+// Base URL Twilio was configured with; signatures are computed over it, not our internal host
+function getPublicBaseUrl(req) {
+  if (PUBLIC_BASE_URL) return PUBLIC_BASE_URL.replace(/\/+$/, "");
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  const xfProto = req.headers["x-forwarded-proto"] || "https";
+  return `${String(xfProto).includes("https") ? "https" : "http"}://${host}`;
+}
+
+function getStreamUrl(req) {
+  return `${getPublicBaseUrl(req).replace(/^http/, "ws")}/`;
+}
+
+function verifyTwilioSignature(req, url, params = {}) {
+  const signature = req.headers["x-twilio-signature"];
+  if (!signature) return { ok: false, reason: "missing X-Twilio-Signature" };
+  if (!twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, params)) {
+    return { ok: false, reason: "signature mismatch" };
+  }
+  return { ok: true };
+}
+
+function requireTwilioSignature(req, res, next) {
+  if (!VALIDATE_TWILIO_SIGNATURES) return next();
+  
+  const url = `${getPublicBaseUrl(req)}${req.originalUrl}`;
+  const check = verifyTwilioSignature(req, url, req.body || {});
+  if (!check.ok) {
+    console.warn("🚫 Rejected Twilio webhook", { path: req.path, reason: check.reason, ip: req.ip });
+    return res.status(403).send("Forbidden");
+  }
+  return next();
+}
+
+// Media stream tokens: /voice hands one to Twilio as a <Parameter>, the stream's
+// "start" event must echo it back for the same CallSid before we do any work.
+const STREAM_TOKEN_TTL_MS = 2 * 60 * 1000;
+const usedStreamTokens = new Map();
+
+function signStreamToken(callSid, expiresAt) {
+  return crypto.createHmac("sha256", TWILIO_AUTH_TOKEN).update(`${callSid}:${expiresAt}`).digest("hex");
+}
+
+function issueStreamToken(callSid) {
+  // Offline mode has no auth token to sign with (and verifyStreamToken is off)
+  if (!TWILIO_AUTH_TOKEN) return "";
+  const expiresAt = Date.now() + STREAM_TOKEN_TTL_MS;
+  return `${expiresAt}.${signStreamToken(callSid, expiresAt)}`;
+}
+
+function verifyStreamToken(token = "", callSid = "") {
+  if (!VALIDATE_TWILIO_SIGNATURES) return { ok: true };
+  if (!token || !callSid) return { ok: false, reason: "missing stream token or callSid" };
+  
+  const [expRaw, sig = ""] = String(token).split(".");
+  const expiresAt = Number(expRaw);
+  if (!expiresAt) return { ok: false, reason: "stream token malformed" };
+  if (Date.now() > expiresAt) return { ok: false, reason: "stream token expired" };
+  
+  const expected = Buffer.from(signStreamToken(callSid, expiresAt));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, reason: "stream token invalid" };
+  }
+  
+  for (const [used, exp] of usedStreamTokens) {
+    if (Date.now() > exp) usedStreamTokens.delete(used);
+  }
+  if (usedStreamTokens.has(token)) return { ok: false, reason: "stream token already used" };
+  usedStreamTokens.set(token, expiresAt);
+  
+  return { ok: true };
+}
+
+app.post("/voice", requireTwilioSignature, (req, res) => {
+  res.type("text/xml");
+  const streamUrl = getStreamUrl(req);
+  const from = normalizePhone(req.body?.From || "");
+  const caller = normalizePhone(req.body?.Caller || "");
+  const callSid = req.body?.CallSid || "";
+  const token = issueStreamToken(callSid);
+  
+  res.send(`
+<Response>
+  <Connect>
+    <Stream url="${streamUrl}">
+      <Parameter name="from" value="${from}" />
+      <Parameter name="caller" value="${caller}" />
+      <Parameter name="callSid" value="${escapeXml(callSid)}" />
+      <Parameter name="token" value="${token}" />
+    </Stream>
+  </Connect>
+</Response>
+  `);
+});
+
+function dialOperatorsTwiml(baseUrl, step, lang) {
+  const numbers = OPERATOR_DIAL_MODE === "simultaneous" ? OPERATOR_PHONES : [OPERATOR_PHONES[step]];
+  const action = escapeXml(`${baseUrl}/transfer/next?step=${OPERATOR_DIAL_MODE === "simultaneous" ? "all" : step}&lang=${lang}`);
+  return `
+<Response>${step === 0 ? `\n  <Say${twilioSayAttrs(lang)}>${escapeXml(promptText(lang, "connecting"))}</Say>` : ""}
+  <Dial timeout="${OPERATOR_DIAL_TIMEOUT_SECONDS}" answerOnBridge="true" action="${action}" method="POST">
+    ${numbers.map((n) => `<Number>${escapeXml(n)}</Number>`).join("\n    ")}
+  </Dial>
+</Response>
+  `;
+}
+
+function voicemailTwiml(baseUrl, introKey, lang) {
+  const attrs = twilioSayAttrs(lang);
+  return `
+<Response>
+  <Say${attrs}>${escapeXml(`${promptText(lang, introKey)} ${promptText(lang, "voicemailAsk")}`)}</Say>
+  <Record maxLength="${VOICEMAIL_MAX_SECONDS}" timeout="5" playBeep="true" action="${baseUrl}/voicemail/done?lang=${lang}" method="POST" recordingStatusCallback="${baseUrl}/voicemail/recording" recordingStatusCallbackMethod="POST" transcribe="true" transcribeCallback="${baseUrl}/voicemail/transcription" />
+  <Say${attrs}>${escapeXml(promptText(lang, "voicemailEmpty"))}</Say>
+  <Hangup/>
+</Response>
+  `;
+}
+
+app.post("/transfer", requireTwilioSignature, (req, res) => {
+  res.type("text/xml");
+  const baseUrl = getPublicBaseUrl(req);
+  const lang = languageOf(req.query.lang);
+  const availability = operatorAvailability();
+  
+  if (!availability.open) {
+    console.log("📭 Operators closed — sending caller to voicemail", { callSid: req.body?.CallSid, nextOpen: describeNextOpen(availability.next) });
+    return res.send(voicemailTwiml(baseUrl, "voicemailClosed", lang));
+  }
+  return res.send(dialOperatorsTwiml(baseUrl, 0, lang));
+});
+
+// <Dial action>: Twilio reports how the last attempt went
+app.post("/transfer/next", requireTwilioSignature, (req, res) => {
+  res.type("text/xml");
+  const baseUrl = getPublicBaseUrl(req);
+  const lang = languageOf(req.query.lang);
+  const status = req.body?.DialCallStatus || "";
+  
+  if (status === "completed") {
+    return res.send(`
+<Response>
+  <Hangup/>
+</Response>
+    `);
+  }
+  
+  const step = Number(req.query.step);
+  console.log("📞 Operator did not pick up", { callSid: req.body?.CallSid, step: req.query.step, status });
+  if (Number.isInteger(step) && step + 1 < OPERATOR_PHONES.length) {
+    return res.send(dialOperatorsTwiml(baseUrl, step + 1, lang));
+  }
+  return res.send(voicemailTwiml(baseUrl, "voicemailNoAnswer", lang));
+});
+
+async function saveVoicemail(callSid, patch) {
+  if (!callSid) return;
+  try {
+    const { error } = await supabase
+      .from("voicemails")
+      .upsert({ call_sid: callSid, ...patch, updated_at: new Date().toISOString() }, { onConflict: "call_sid" });
+    if (error) console.error("❌ Voicemail save failed:", error.message);
+  } catch (e) {
+    console.error("❌ Voicemail save exception:", e);
+  }
+}
+
+// <Record action>: the caller finished leaving a message
+app.post("/voicemail/done", requireTwilioSignature, async (req, res) => {
+  res.type("text/xml");
+  const callSid = req.body?.CallSid || "";
+  const callerPhone = normalizePhone(req.body?.From || "");
+  const lang = languageOf(req.query.lang);
+  
+  await saveVoicemail(callSid, {
+    caller_phone: callerPhone || null,
+    language: lang,
+    recording_url: req.body?.RecordingUrl || null,
+    recording_sid: req.body?.RecordingSid || null,
+    recording_duration: Number(req.body?.RecordingDuration || 0) || null,
+  });
+  await upsertCallOutcome({
+    callSid,
+    patch: { caller_phone: callerPhone || null, outcome: "voicemail", notes: "Caller left a voicemail", source: "voice" },
+  });
+  metrics.callOutcomes.inc({ source: "voice", outcome: "voicemail" });
+  console.log("📼 Voicemail left", { callSid, duration: req.body?.RecordingDuration });
+  
+  res.send(`
+<Response>
+  <Say${twilioSayAttrs(lang)}>${escapeXml(promptText(lang, "voicemailThanks"))}</Say>
+  <Hangup/>
+</Response>
+  `);
+});
+
+app.post("/voicemail/recording", requireTwilioSignature, async (req, res) => {
+  await saveVoicemail(req.body?.CallSid, {
+    recording_url: req.body?.RecordingUrl || null,
+    recording_sid: req.body?.RecordingSid || null,
+    recording_duration: Number(req.body?.RecordingDuration || 0) || null,
+    recording_status: req.body?.RecordingStatus || null,
+  });
+  res.sendStatus(204);
+});
+
+app.post("/voicemail/transcription", requireTwilioSignature, async (req, res) => {
+  await saveVoicemail(req.body?.CallSid, {
+    transcription_text: req.body?.TranscriptionText || null,
+    transcription_status: req.body?.TranscriptionStatus || null,
+  });
+  console.log("📝 Voicemail transcribed", { callSid: req.body?.CallSid, status: req.body?.TranscriptionStatus });
+  res.sendStatus(204);
+});
+
+app.post("/hangup", requireTwilioSignature, (req, res) => {
+  res.type("text/xml");
+  res.send(`
+<Response>
+  <Hangup/>
+</Response>
+  `);
+});
+
+//────────────────────────────────────────────────────────────────────────────────
+// 10) SPEAK + LOGGING HELPERS
+//────────────────────────────────────────────────────────────────────────────────
+
+// Twilio media streams are 8kHz mulaw: one byte per sample
+const MULAW_BYTES_PER_MS = 8;
+
+// Backstop in case Twilio never echoes a mark back (dropped call, lost message)
+const MARK_GRACE_MS = 3000;
+
+// Twilio plays whatever it's sent; 20ms frames keep each media message small
+const MULAW_FRAME_BYTES = 20 * MULAW_BYTES_PER_MS;
+
+// Shorter "sentences" ride along with the next one — a TTS request per "Okay." isn't worth it
+const MIN_SENTENCE_CHARS = 25;
+
+function splitIntoSentences(text = "") {
+  const sentences = [];
+  let pending = "";
+  for (const piece of String(text).split(/(?<=[.!?])\s+/)) {
+    pending = pending ? `${pending} ${piece}` : piece;
+    if (pending.length >= MIN_SENTENCE_CHARS) {
+      sentences.push(pending);
+      pending = "";
+    }
+  }
+  if (pending.trim()) {
+    if (sentences.length) sentences[sentences.length - 1] += ` ${pending}`;
+    else sentences.push(pending);
+  }
+  return sentences.map((sentence) => sentence.trim()).filter(Boolean);
+}
+
+// Phrase audio cache: the bot's fixed lines, synthesized once and kept on disk so restarts
+// (and Deepgram outages) don't cost a TTS request. Only fixed text is cached — anything
+// with a caller's name, number or words in it always goes to the provider.
+const PHRASE_CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), "massmechanic-tts-cache");
+const PHRASE_CACHE_ENCODING = "mulaw-8000";
+
+// Voice prompts with no caller details in them (functions are called with { isVoice: true })
+const CACHED_PROMPT_KEYS = [
+  "voiceGreeting", "keypadOffer", "askIssue", "askCar", "carRetry", "vinStart", "vinBad",
+  "askName", "askZip", "askPhone", "askUrgency", "clarifyUrgency", "askDrivable", "clarifyDrivable",
+  "confirmUnclear", "whatToCorrect", "correctUnclear", "correctZip", "correctName", "correctCar",
+  "correctIssue", "correctPhone", "correctUrgency", "correctDrivable", "glitch", "transferNow", "ttsFallback",
+  "noInput", "stillThere", "noInputGoodbye", "maxDurationGoodbye", "sttLost", "sttLostTransfer",
+];
+
+// Provider is part of the key so fake-provider audio never stands in for the real voice
+function phraseCacheKey(text, voice) {
+  return crypto.createHash("sha256")
+    .update(JSON.stringify([TTS_PROVIDER, PHRASE_CACHE_ENCODING, voice, text]))
+    .digest("hex");
+}
+
+// Cached at sentence level, the same way speakOverStream splits replies, so a fixed
+// question still hits the cache when it follows a dynamic "Got it — I've updated …"
+function cacheablePhrases() {
+  const phrases = [];
+  for (const lang of Object.keys(LANGUAGES)) {
+    if (!hasVoice(lang)) continue;
+    const voice = LANGUAGES[lang].ttsVoice;
+    const texts = [
+      ...CACHED_PROMPT_KEYS.map((key) => promptText(lang, key, { isVoice: true })),
+      ...Object.values(FOLLOWUP_BY_CATEGORY[lang]),
+    ];
+    for (const text of texts) {
+      for (const sentence of splitIntoSentences(text || "")) phrases.push({ text: sentence, voice });
+    }
+  }
+  return phrases;
+}
+
+const CACHEABLE_PHRASE_KEYS = new Set(cacheablePhrases().map(({ text, voice }) => phraseCacheKey(text, voice)));
+
+// key -> mulaw Buffer for every cacheable phrase we have audio for
+const phraseCache = new Map();
+
+async function storePhraseAudio(key, audio) {
+  phraseCache.set(key, audio);
+  try {
+    await mkdir(PHRASE_CACHE_DIR, { recursive: true });
+    const file = path.join(PHRASE_CACHE_DIR, `${key}.ulaw`);
+    // Write-then-rename so a crash never leaves a truncated clip behind
+    await writeFile(`${file}.tmp`, audio);
+    await rename(`${file}.tmp`, file);
+  } catch (e) {
+    console.warn("⚠️ Phrase cache write failed:", e?.message || e);
+  }
+}
+
+async function synthesizeToBuffer(text, voice) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000);
+  try {
+    const chunks = [];
+    for await (const chunk of ttsProvider.stream({ text, voice, signal: controller.signal })) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Loads every cacheable phrase from disk, then synthesizes whatever is missing one at a time
+ * so startup doesn't hammer the TTS provider. Phrases that fail are left for speakOverStream
+ * to cache the first time they're spoken.
+ */
+async function warmPhraseCache() {
+  const counts = { disk: 0, synthesized: 0, failed: 0 };
+  const missing = [];
+  
+  for (const { text, voice } of cacheablePhrases()) {
+    const key = phraseCacheKey(text, voice);
+    if (phraseCache.has(key)) continue;
+    try {
+      const audio = await readFile(path.join(PHRASE_CACHE_DIR, `${key}.ulaw`));
+      if (audio.length) {
+        phraseCache.set(key, audio);
+        counts.disk++;
+        continue;
+      }
+    } catch {}
+    missing.push({ key, text, voice });
+  }
+  
+  for (const { key, text, voice } of missing) {
+    if (phraseCache.has(key)) continue;
+    try {
+      const audio = await synthesizeToBuffer(text, voice);
+      if (!audio.length) throw new Error("empty audio");
+      await storePhraseAudio(key, audio);
+      counts.synthesized++;
+    } catch (e) {
+      counts.failed++;
+      console.warn(`⚠️ Phrase cache: couldn't synthesize "${text}":`, e?.message || e);
+    }
+  }
+  
+  console.log(`🗄️ Phrase cache warm (${PHRASE_CACHE_DIR}): ${counts.disk} from disk, ${counts.synthesized} synthesized, ${counts.failed} failed`);
+}
+
+/**
+ * Speaks `text` on the Twilio stream a sentence at a time, then sends a `mark` named
+ * `markName` that Twilio echoes back once playback has finished. Cached phrases play
+ * straight from the phrase cache; everything else is sent in 20ms frames as the TTS
+ * response streams in. onAudioStart fires with the first frame.
+ * A sentence is retried only if none of it was sent yet (otherwise the caller hears it twice);
+ * one that still fails is replaced by the cached ttsFallback line instead of dead air.
+ * Resolves { ok, played, audioMs } — `played` is false when nothing was sent.
+ */
+async function speakOverStream({ ws, streamSid, text, markName, lang = "en", retries = 2, shouldPlay = () => true, onAudioStart }) {
+  const voice = LANGUAGES[languageOf(lang)].ttsVoice;
+  let sentBytes = 0;
+  let ok = true;
+  let fallbackPlayed = false;
+  
+  const canSend = () => ws.readyState === WebSocket.OPEN && Boolean(streamSid);
+  const stopped = () => !shouldPlay() || !canSend();
+  const sendFrame = (frame) => {
+    if (!sentBytes) onAudioStart?.();
+    ws.send(JSON.stringify({ event: "media", streamSid, media: { payload: frame.toString("base64") } }));
+    sentBytes += frame.length;
+  };
+  // Sends `audio` in whole frames; returns the tail that didn't fill one (all of it when flushing)
+  const sendFrames = (audio, { flush = false } = {}) => {
+    let rest = audio;
+    while (rest.length >= MULAW_FRAME_BYTES) {
+      sendFrame(rest.subarray(0, MULAW_FRAME_BYTES));
+      rest = rest.subarray(MULAW_FRAME_BYTES);
+    }
+    if (flush && rest.length) sendFrame(rest);
+    return flush ? Buffer.alloc(0) : Buffer.from(rest);
+  };
+  
+  for (const sentence of splitIntoSentences(text)) {
+    if (stopped()) break;
+    
+    const key = phraseCacheKey(sentence, voice);
+    const cached = phraseCache.get(key);
+    if (cached) {
+      metrics.ttsCacheHits.inc();
+      sendFrames(cached, { flush: true });
+      continue;
+    }
+    
+    let sentenceBytes = 0;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) metrics.ttsRetries.inc();
+      const endTimer = metrics.ttsDuration.startTimer();
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 10000);
+      const chunks = [];
+      let leftover = Buffer.alloc(0);
+      
+      try {
+        for await (const chunk of ttsProvider.stream({ text: sentence, voice, signal: controller.signal })) {
+          // Caller barged in (the bargeIn "clear" already flushed what we sent) or hung up
+          if (stopped()) {
+            controller.abort();
+            break;
+          }
+          chunks.push(chunk);
+          const before = sentBytes;
+          leftover = sendFrames(leftover.length ? Buffer.concat([leftover, chunk]) : chunk);
+          sentenceBytes += sentBytes - before;
+        }
+        endTimer({ result: "ok" });
+        if (stopped()) break;
+        
+        sendFrames(leftover, { flush: true });
+        if (CACHEABLE_PHRASE_KEYS.has(key)) await storePhraseAudio(key, Buffer.concat(chunks));
+        break;
+        
+      } catch (error) {
+        endTimer({ result: "error" });
+        console.error(`❌ TTS Error (attempt ${attempt + 1}/${retries + 1}):`, error.message);
+        
+        if (attempt < retries && !sentenceBytes) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+          continue;
+        }
+        metrics.ttsFailures.inc();
+        ok = false;
+        
+        const fallback = phraseCache.get(phraseCacheKey(promptText(lang, "ttsFallback"), voice));
+        if (fallback && !fallbackPlayed && !stopped()) {
+          console.warn("🔁 Playing the fallback line in place of the failed sentence");
+          sendFrames(fallback, { flush: true });
+          fallbackPlayed = true;
+        }
+        // Move on — the next sentence may still get through
+        break;
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  }
+  
+  if (!shouldPlay()) {
+    console.log("⏭️ Dropping the rest of the TTS audio (caller barged in)");
+    return { ok: true, played: false, audioMs: 0 };
+  }
+  if (!canSend()) return { ok: false, played: false, audioMs: 0 };
+  if (!sentBytes) return { ok, played: false, audioMs: 0 };
+  
+  if (markName) ws.send(JSON.stringify({ event: "mark", streamSid, mark: { name: markName } }));
+  return { ok, played: true, audioMs: Math.ceil(sentBytes / MULAW_BYTES_PER_MS) };
+}
+
+// /transfer decides between dialing operators and voicemail
+async function transferCallToHuman(callSid, lang = "en") {
+  if (!callSid) return console.error("❌ Missing callSid — cannot transfer");
+  
+  const baseUrl = PUBLIC_BASE_URL || "https://mass-mechanic-bot.onrender.com";
+  const transferUrl = `${baseUrl}/transfer?lang=${languageOf(lang)}`;
+  
+  if (!twilioClient) return console.warn("⚠️ No Twilio client — skipping transfer", { callSid });
+  
+  await twilioClient.calls(callSid).update({ url: transferUrl, method: "POST" });
+  console.log("📞 Call transfer initiated", { callSid, transferUrl });
+}
+
+async function hangupCall(callSid) {
+  if (!callSid) return console.error("❌ Missing callSid — cannot hangup");
+  
+  const baseUrl = PUBLIC_BASE_URL || "https://mass-mechanic-bot.onrender.com";
+  const hangupUrl = `${baseUrl}/hangup`;
+  if (!twilioClient) return console.warn("⚠️ No Twilio client — skipping hangup", { callSid });
+  
+  try {
+    await twilioClient.calls(callSid).update({ url: hangupUrl, method: "POST" });
+    console.log("📞 Call hangup initiated", { callSid });
+  } catch (error) {
+    console.error("❌ Hangup failed:", error);
+  }
+}
+
+async function sendSms(to, body, { statusCallback } = {}) {
+  if (!to) return null;
+  if (!twilioClient) {
+    console.warn("⚠️ No Twilio client — SMS not sent", { to, body });
+    return null;
+  }
+  return twilioClient.messages.create({
+    from: TWILIO_PHONE_NUMBER,
+    to: `+${normalizePhone(to)}`,
+    body,
+    ...(statusCallback ? { statusCallback } : {}),
+  });
+}
+
+function callOutcomeDetails(state, callerPhone) {
+  return {
+    caller_phone: state.phone || callerPhone,
+    name: state.name || null,
+    zip_code: state.zip || null,
+    issue_text: state.issueText || null,
+    issue_category: state.issueCategory || null,
+    car_make_model: state.carMakeModel || null,
+    car_make: state.carMake || null,
+    car_model: state.carModel || null,
+    car_year: state.carYear || null,
+    urgency_window: state.urgency_window || null,
+    drivable: state.drivable || null,
+    phone_source: state.phoneSource || null,
+    language: state.language || null,
+    // Where the conversation was when this snapshot was taken — the drop-off step for abandoned calls
+    last_step: state.currentStep || null,
+  };
+}
+
+/**
+ * Per-conversation transcript writer. Rows land in call_transcripts in the order
+ * they were recorded (seq), one per caller turn, bot utterance, LLM exchange or
+ * state change.
+ */
+function createTranscriptRecorder({ getCallSid, channel }) {
+  let seq = 0;
+  let chain = Promise.resolve();
+  
+  return function record(speaker, text, { currentStep = null, data = null } = {}) {
+    const callSid = getCallSid();
+    if (!callSid) return;
+    
+    const row = {
+      call_sid: callSid,
+      seq: ++seq,
+      source: channel,
+      speaker,
+      text: text ?? null,
+      current_step: currentStep,
+      data,
+      created_at: new Date().toISOString(),
+    };
+    
+    chain = chain.then(async () => {
+      try {
+        const { error } = await supabase.from("call_transcripts").insert(row);
+        if (error) console.error("⚠️ call_transcripts insert failed:", error.message);
+      } catch (e) {
+        console.error("⚠️ call_transcripts insert exception:", e);
+      }
+    });
+  };
+}
+
+async function upsertCallOutcome({ callSid, patch }) {
+  if (!callSid) return;
+  try {
+    const { data: existing } = await supabase
+      .from("call_outcomes")
+      .select("call_sid")
+      .eq("call_sid", callSid)
+      .maybeSingle();
+    
+    if (existing) {
+      const { error } = await supabase
+        .from("call_outcomes")
+        .update(patch)
+        .eq("call_sid", callSid);
+      if (error) console.error("⚠️ call_outcomes update failed:", error.message);
+    } else {
+      const { error } = await supabase
+        .from("call_outcomes")
+        .insert({ call_sid: callSid, ...patch });
+      if (error) console.error("⚠️ call_outcomes insert failed:", error.message);
+    }
+  } catch (e) {
+    console.error("⚠️ call_outcomes operation exception:", e);
+  }
+}
+
+// High priority only for an "emergency" urgency or a car that needs a tow. "today" alone
+// isn't enough, and an unclear (blank) answer never makes a lead high priority.
+function isHighPriorityLead(urgency, drivable) {
+  return urgency === "emergency" || drivable === "no_needs_tow";
+}
+
+async function createLeadFromCall({ callSid, callerPhone, state, leadSource = "voice" }) {
+  try {
+    const payload = {
+      service_type: serviceTypeFromCategory(state.issueCategory),
+      zip_code: state.zip,
+      car_make_model: state.carMakeModel || "Unknown",
+      car_make: state.carMake || null,
+      car_model: state.carModel || null,
+      car_year: state.carYear || null,
+      vin: state.vin || null,
+      description: state.issueText || "",
+      name: state.name || null,
+      phone: state.phone || callerPhone || null,
+      email: "",
+      lead_source: leadSource,
+      status: "new",
+      lead_category: "repair",
+      drivable: state.drivable || null,
+      urgency_window: state.urgency_window || null,
+      language: state.language || "en",
+    };
+    
+    // Links the lead back to its call_outcomes row; kept out of the dispatch payload
+    const { data, error } = await supabase.from("leads").insert({ ...payload, call_sid: callSid || null }).select("id, lead_code").maybeSingle();
+    
+    if (error) {
+      metrics.leadInsertFailures.inc({ source: leadSource });
+      console.error("❌ Lead insert failed:", error.message);
+      return { ok: false, error: error.message };
+    }
+    
+    console.log("✅ Lead created:", data);
+    
+    const isHighPriority = isHighPriorityLead(state.urgency_window, state.drivable);
+    
+    // Fire-and-forget: retries can take a while and the caller shouldn't wait on them
+    if (data?.id) {
+      dispatchLead({ lead: data, payload, isHighPriority }).catch((e) =>
+        console.error("❌ Lead dispatch exception:", e)
+      );
+    }
+    
+    return { ok: true, lead: data };
+  } catch (e) {
+    metrics.leadInsertFailures.inc({ source: leadSource });
+    console.error("❌ Lead insert exception:", e);
+    return { ok: false, error: e?.message || "unknown" };
+  }
+}
+
+function buildLeadConfirmationText({ state, leadCode }) {
+  const car = state.carMakeModel ? `${state.carYear ? state.carYear + " " : ""}${state.carMakeModel}` : "";
+  const issue = String(state.issueText || "").replace(/\s+/g, " ").trim();
+  const issueShort = issue.length > 120 ? `${issue.slice(0, 117)}...` : issue;
+  
+  return promptText(state.language, "confirmationSms", { name: state.name, leadCode, car, issue: issueShort, zip: state.zip });
+}
+
+async function updateLeadSmsStatus(leadId, patch) {
+  const { error } = await supabase.from("leads").update(patch).eq("id", leadId);
+  if (error) console.error("⚠️ Lead SMS status update failed:", error.message);
+}
+
+/**
+ * Texts the caller their lead code + summary once the lead exists.
+ * Runs independently of the media stream so it still goes out if the call drops.
+ * Resolves to "sent", "skipped" (no lead, number or Twilio client) or "failed".
+ */
+async function sendLeadConfirmationSms({ lead, state, callerPhone }) {
+  const to = state.phone || callerPhone;
+  if (!lead?.id || !to || to === "unknown") return "skipped";
   
   const baseUrl = PUBLIC_BASE_URL || "https://mass-mechanic-bot.onrender.com";
-  const transferUrl = `${baseUrl}/transfer`;
   
-  await twilioClient.calls(callSid).update({ url: transferUrl, method: "POST" });
-  console.log("📞 Call transfer initiated", { callSid, transferUrl });
+  try {
+    const msg = await sendSms(to, buildLeadConfirmationText({ state, leadCode: lead.lead_code }), {
+      statusCallback: `${baseUrl}/sms/status?lead_id=${encodeURIComponent(lead.id)}`,
+    });
+    if (!msg) {
+      await updateLeadSmsStatus(lead.id, {
+        confirmation_sms_status: "skipped",
+        confirmation_sms_error: "Twilio is not configured",
+      });
+      return "skipped";
+    }
+    console.log("📨 Confirmation SMS sent", { leadCode: lead.lead_code, sid: msg.sid });
+    await updateLeadSmsStatus(lead.id, {
+      confirmation_sms_sid: msg.sid || null,
+      confirmation_sms_status: msg.status || null,
+      confirmation_sms_error: null,
+    });
+    return "sent";
+  } catch (e) {
+    console.error("❌ Confirmation SMS failed:", e?.message || e);
+    await updateLeadSmsStatus(lead.id, {
+      confirmation_sms_status: "failed",
+      confirmation_sms_error: e?.message || "unknown",
+    });
+    return "failed";
+  }
+}
+
+//────────────────────────────────────────────────────────────────────────────────
+// 11) LEAD DISPATCH
+//────────────────────────────────────────────────────────────────────────────────
+
+// Point LEAD_DISPATCH_BASE_URL at a local stand-in to exercise dispatch without
+// hitting the real send-lead / send-maintenance-lead edge functions.
+const DISPATCH_BASE_URL = (LEAD_DISPATCH_BASE_URL || (SUPABASE_URL ? `${SUPABASE_URL}/functions/v1` : "")).replace(/\/+$/, "");
+const DISPATCH_MAX_ATTEMPTS = Number(process.env.DISPATCH_MAX_ATTEMPTS || 3);
+const DISPATCH_RETRY_BASE_MS = Number(process.env.DISPATCH_RETRY_BASE_MS || 1000);
+
+if (!DISPATCH_BASE_URL) {
+  console.warn("⚠️ Neither LEAD_DISPATCH_BASE_URL nor SUPABASE_URL is set — leads will be saved but not dispatched to mechanics");
+}
+
+async function findEligibleMechanics({ zip, serviceType }) {
+  const { data, error } = await supabase
+    .from("mechanics")
+    .select("id, name, email, phone, zip_code")
+    .eq("zip_code", zip)
+    .contains("service_types", [serviceType])
+    .eq("is_active", true);
+  
+  if (error) {
+    console.error("⚠️ Mechanic lookup failed:", error.message);
+    return [];
+  }
+  return data || [];
+}
+
+async function recordDispatchAttempt(row) {
+  const { error } = await supabase.from("lead_dispatches").insert(row);
+  if (error) console.error("⚠️ lead_dispatches insert failed:", error.message);
+}
+
+async function setLeadStatus(leadId, status, fromStatuses) {
+  let query = supabase.from("leads").update({ status }).eq("id", leadId);
+  if (fromStatuses) query = query.in("status", fromStatuses);
+  const { error } = await query;
+  if (error) console.error(`⚠️ Lead status -> ${status} failed:`, error.message);
+  return !error;
+}
+
+async function callDispatchFunction(functionName, body) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000);
+  
+  try {
+    const res = await fetch(`${DISPATCH_BASE_URL}/${functionName}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${SUPABASE_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    
+    if (!res.ok) {
+      const errText = await res.text().catch(() => "");
+      return { ok: false, httpStatus: res.status, error: errText || `HTTP ${res.status}` };
+    }
+    return { ok: true, httpStatus: res.status };
+  } catch (e) {
+    return { ok: false, httpStatus: null, error: e?.message || "unknown" };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function sendLeadToMechanic({ functionName, priority, lead, mechanic, payload }) {
+  for (let attempt = 1; attempt <= DISPATCH_MAX_ATTEMPTS; attempt++) {
+    const res = await callDispatchFunction(functionName, { ...payload, mechanic_id: mechanic.id });
+    
+    await recordDispatchAttempt({
+      lead_id: lead.id,
+      mechanic_id: mechanic.id,
+      function_name: functionName,
+      priority,
+      attempt,
+      status: res.ok ? "sent" : "failed",
+      http_status: res.httpStatus,
+      error: res.ok ? null : res.error,
+    });
+    
+    if (res.ok) return true;
+    
+    console.error(`❌ ${functionName} → mechanic ${mechanic.id} failed (attempt ${attempt}/${DISPATCH_MAX_ATTEMPTS}):`, res.error);
+    
+    if (attempt < DISPATCH_MAX_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, DISPATCH_RETRY_BASE_MS * 2 ** (attempt - 1)));
+    }
+  }
+  return false;
+}
+
+/**
+ * Sends a freshly inserted lead to every eligible mechanic for its ZIP + service type.
+ * High-priority leads go through send-lead, everything else through send-maintenance-lead.
+ * Moves the lead from "new" to "dispatched" once at least one mechanic received it.
+ */
+async function dispatchLead({ lead, payload, isHighPriority }) {
+  // Nowhere to send it; already warned at startup
+  if (!DISPATCH_BASE_URL) return { ok: false, sent: 0, total: 0 };
+  
+  const functionName = isHighPriority ? "send-lead" : "send-maintenance-lead";
+  const priority = isHighPriority ? "high" : "maintenance";
+  
+  const mechanics = await findEligibleMechanics({ zip: payload.zip_code, serviceType: payload.service_type });
+  
+  if (!mechanics.length) {
+    console.warn(`⚠️ No eligible mechanics for ZIP ${payload.zip_code} / ${payload.service_type} — lead ${lead.lead_code} stays new`);
+    await recordDispatchAttempt({
+      lead_id: lead.id,
+      mechanic_id: null,
+      function_name: functionName,
+      priority,
+      attempt: 0,
+      status: "no_mechanics",
+      http_status: null,
+      error: null,
+    });
+    return { ok: false, sent: 0, total: 0 };
+  }
+  
+  console.log(`📤 Dispatching ${priority.toUpperCase()} lead ${lead.lead_code} to ${mechanics.length} mechanic(s) via ${functionName}`);
+  
+  const { status: _status, ...leadFields } = payload;
+  const body = { ...leadFields, lead_id: lead.id, lead_code: lead.lead_code, priority };
+  const results = await Promise.all(
+    mechanics.map((mechanic) => sendLeadToMechanic({ functionName, priority, lead, mechanic, payload: body }))
+  );
+  const sent = results.filter(Boolean).length;
+  
+  if (sent > 0) {
+    await setLeadStatus(lead.id, "dispatched", ["new"]);
+  }
+  
+  console.log(`📬 Lead ${lead.lead_code} dispatched to ${sent}/${mechanics.length} mechanic(s)`);
+  return { ok: sent > 0, sent, total: mechanics.length };
+}
+
+// Called by the edge functions / mechanic portal when a mechanic takes the job
+app.post("/dispatch/accept", async (req, res) => {
+  const expected = Buffer.from(DISPATCH_CALLBACK_SECRET || "");
+  const given = Buffer.from(String(req.headers["x-dispatch-secret"] || ""));
+  if (!DISPATCH_CALLBACK_SECRET || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return res.status(401).json({ ok: false, error: "unauthorized" });
+  }
+  
+  const leadId = req.body?.lead_id;
+  const mechanicId = req.body?.mechanic_id || null;
+  if (!leadId) return res.status(400).json({ ok: false, error: "lead_id required" });
+  
+  const ok = await setLeadStatus(leadId, "accepted", ["new", "dispatched"]);
+  await recordDispatchAttempt({
+    lead_id: leadId,
+    mechanic_id: mechanicId,
+    function_name: null,
+    priority: null,
+    attempt: 0,
+    status: "accepted",
+    http_status: null,
+    error: null,
+  });
+  
+  console.log("🤝 Lead accepted", { leadId, mechanicId });
+  return res.json({ ok });
+});
+
+//────────────────────────────────────────────────────────────────────────────────
+// 12) STRUCTURED FIELD EXTRACTION
+//────────────────────────────────────────────────────────────────────────────────
+
+// The caller is waiting on this, so give up quickly and use the regex extractors
+const EXTRACTION_TIMEOUT_MS = Number(process.env.EXTRACTION_TIMEOUT_MS || 3000);
+
+// What the bot just asked, so a bare "Dave" or "oh two one three nine" lands in the right field
+const STEP_QUESTIONS = {
+  issue: "what's wrong with the car",
+  followup: "more detail about the car problem",
+  car: "the car's make, model and year",
+  name: "the caller's first name",
+  zip: "the caller's 5-digit ZIP code",
+  phone: "the caller's 10-digit callback number",
+  urgency: "when they need the repair",
+  drivable: "whether the car can be driven to a shop",
+};
+
+const INTAKE_FIELDS_SCHEMA = {
+  name: "intake_fields",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["issue", "car_make", "car_model", "car_year", "name", "zip", "phone", "urgency", "drivable"],
+    properties: {
+      issue: { type: ["string", "null"], description: "What's wrong with the car, in the caller's own words" },
+      car_make: { type: ["string", "null"] },
+      car_model: { type: ["string", "null"] },
+      car_year: { type: ["string", "null"], description: "4-digit model year" },
+      name: { type: ["string", "null"], description: "Caller's first name" },
+      zip: { type: ["string", "null"], description: "5-digit ZIP code, digits only" },
+      phone: { type: ["string", "null"], description: "10-digit callback number, digits only" },
+      urgency: { type: ["string", "null"], enum: ["emergency", "today", "this_week", "flexible", null] },
+      drivable: { type: ["string", "null"], enum: ["yes", "limp", "no_needs_tow", null] },
+    },
+  },
+};
+
+const EXTRACTION_SYSTEM_PROMPT =
+  "You pull intake details for Mass Mechanic, a Massachusetts auto-repair referral line, out of ONE caller utterance. " +
+  "The utterance may be a speech-to-text transcript in English, Spanish or Portuguese. " +
+  "Fill only what the caller actually said in this utterance and use null for everything else — never guess. " +
+  "Write spoken numbers as digits. urgency: emergency = unsafe or stranded right now, today, this_week, flexible = no rush. " +
+  "drivable: yes, limp = only short distances or with a warning light, no_needs_tow.";
+
+async function requestLlmFields(text, step) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), EXTRACTION_TIMEOUT_MS);
+  
+  try {
+    return await llmProvider.completeJson({
+      system: EXTRACTION_SYSTEM_PROMPT,
+      user: `We just asked for: ${STEP_QUESTIONS[step] || "anything about their car problem"}.\nCaller said: ${JSON.stringify(text)}`,
+      schema: INTAKE_FIELDS_SCHEMA,
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Compares names without case or accents ("josé" vs "Jose")
+function foldText(text = "") {
+  return String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * Keeps only the LLM fields the utterance backs up: digits have to be in what the
+ * caller said, names have to appear in it, cars have to be in it and in the catalog.
+ */
+function checkLlmFields(raw, text, lang) {
+  const fields = {};
+  const spokenDigits = parseSpokenNumber(text, lang).runs.join("");
+  
+  const issue = String(raw.issue || "").trim();
+  if (issue.length > 3) fields.issue = issue;
+  
+  // Only a year the caller actually said — the LLM's reading of it is a hint, not evidence
+  const year = raw.car_year ? extractCarYear(text) : "";
+  if (year) fields.carYear = year;
+  if (raw.car_make) {
+    const match = matchVehicle(`${raw.car_make} ${raw.car_model || ""}`, { year });
+    // ...and only a car the utterance names too, so "only when I stop" can't become a Honda
+    const heard = matchVehicle(text, { year });
+    if (match && heard?.make === match.make) {
+      fields.carMake = match.make;
+      fields.carModel = match.model;
+    }
+  }
+  
+  const name = String(raw.name || "").trim();
+  if (/^[a-zà-ÿ'-]{2,}(?: [a-zà-ÿ'-]+)?$/i.test(name) && foldText(text).includes(foldText(name))) {
+    fields.name = name;
+  }
+  
+  const zip = String(raw.zip || "").replace(/\D/g, "");
+  if (zip.length === 5 && spokenDigits.includes(zip)) fields.zip = zip;
+  
+  const phone = toTenDigitPhone(String(raw.phone || "").replace(/\D/g, ""));
+  if (phone && parseSpokenNumber(text, lang, { digitsOnly: true }).runs.join("").includes(phone)) fields.phone = phone;
+  
+  if (["emergency", "today", "this_week", "flexible"].includes(raw.urgency)) fields.urgency = raw.urgency;
+  if (["yes", "limp", "no_needs_tow"].includes(raw.drivable)) fields.drivable = raw.drivable;
+  
+  return fields;
+}
+
+// "I'm Dave", "me llamo José" — only explicit introductions, so "I'm in Framingham" isn't a name
+const INTRO_NAME_RE = /(?:my name is|my name's|this is|i'm|i am|me llamo|mi nombre es|meu nome é|meu nome e|me chamo)\s+([a-zà-ÿ]{2,})(?=$|[^a-zà-ÿ])/i;
+const NOT_A_NAME_RE = /^(in|at|from|on|near|not|so|just|calling|having|looking|trying|here|there|the|with|about|for|my|a|an)$|ing$/i;
+
+// Offline fallback: only the patterns that can't be mistaken for an answer to another question
+function regexFields(text, state, step) {
+  const lang = state.language;
+  const fields = {};
+  
+  // The whole utterance stands in for the issue, so only where the issue is what's being asked
+  if ((step === "issue" || step === "confirm") && categorizeIssue(text, lang) !== "general") fields.issue = text;
+  
+  const match = matchVehicle(text, { make: state.carMake, year: state.carYear });
+  if (match) {
+    fields.carMake = match.make;
+    fields.carModel = match.model;
+    const year = extractCarYear(text);
+    if (year) fields.carYear = year;
+  }
+  
+  const intro = text.match(INTRO_NAME_RE)?.[1];
+  if (intro && !NOT_A_NAME_RE.test(intro)) fields.name = intro;
+  
+  // Phone digits can contain a 5-digit run, so at the phone step only a ZIP they call a ZIP
+  if (step !== "phone" || /(zip|código postal|codigo postal|cep)/i.test(text)) {
+    const zip = extractZip(text, lang);
+    if (zip) fields.zip = zip;
+  }
+  
+  return fields;
+}
+
+// Drive/tow words, so "no, my name is Mike" isn't read as "no, it can't be driven"
+const MENTIONS_DRIVING_RE = /(driv|tow|limp|manej|grúa|grua|dirig|guincho|reboque)/i;
+
+/**
+ * Regex fallback for corrections. The caller is restating answers here, so the step
+ * extractors that are too loose for every utterance (urgency, drivability, phone, a bare
+ * year) can run too: "sorry, I meant tomorrow, and I can drive it".
+ */
+function regexCorrectionFields(text, state, step) {
+  const lang = state.language;
+  const fields = regexFields(text, state, step);
+  
+  const urgency = classifyUrgency(text, lang);
+  if (urgency) fields.urgency = urgency;
+  
+  const drivable = MENTIONS_DRIVING_RE.test(text) ? classifyDrivable(text, lang) : "";
+  if (drivable) fields.drivable = drivable;
+  
+  const phone = collectSpokenDigits("", text, "phone", lang).value;
+  if (phone) fields.phone = phone;
+  
+  // The last four digits of a phone number can look like a year
+  const year = phone ? "" : extractCarYear(text);
+  if (year && !fields.carYear) fields.carYear = year;
+  
+  return fields;
+}
+
+/**
+ * Pulls every intake field it can out of one utterance. `step` is the question
+ * the utterance answers. Returns { source: "llm" | "regex", fields } where fields may hold
+ * issue, carMake, carModel, carYear, name, zip, phone, urgency, drivable.
+ */
+async function extractIntakeFields(text, state, step = state.currentStep) {
+  const endTimer = metrics.llmDuration.startTimer();
+  try {
+    const raw = await requestLlmFields(text, step);
+    endTimer({ result: "ok" });
+    metrics.llmRequests.inc({ result: "ok" });
+    return { source: "llm", fields: checkLlmFields(raw, text, state.language) };
+  } catch (e) {
+    endTimer({ result: "error" });
+    metrics.llmRequests.inc({ result: "error" });
+    console.error("⚠️ LLM extraction failed — using regex extractors:", e?.message || e);
+    return { source: "regex", fields: regexFields(text, state, step) };
+  }
+}
+
+//────────────────────────────────────────────────────────────────────────────────
+// 13) INTAKE CONVERSATION FLOW (shared by voice + SMS)
+//────────────────────────────────────────────────────────────────────────────────
+
+function createIntakeState() {
+  return {
+    name: "",
+    zip: "",
+    phone: "",
+    issueText: "",
+    issueCategory: "general",
+    askedFollowup: false,
+    awaitingFollowupResponse: false,
+    awaitingConfirmation: false,
+    awaitingCorrectionChoice: false,
+    correctingField: null,
+    confirmed: false,
+    // carMakeModel is what we read back and store; make/model/year are the parsed parts
+    carMakeModel: "",
+    carMake: "",
+    carModel: "",
+    carYear: "",
+    askedCar: false,
+    askedCarModel: false,
+    carAttempts: 0,
+    // VIN read out character by character, checked against its check digit
+    vin: "",
+    vinChars: "",
+    awaitingVin: false,
+    vinRetried: false,
+    // Structured answers: urgency_window is emergency/today/this_week/flexible,
+    // drivable is yes/limp/no_needs_tow. We ask once more if the first answer is unclear.
+    drivable: "",
+    urgency_window: "",
+    urgencyClarified: false,
+    drivableClarified: false,
+    // Still unclear after the clarifying question: left blank on the lead rather than guessed
+    urgencyUnclear: false,
+    drivableUnclear: false,
+    leadCreated: false,
+    leadCode: "",
+    // What happened to the post-call confirmation text: sent / skipped / failed
+    confirmationSms: "",
+    // Fields changed since the confirmation readback, so the next readback covers only those
+    confirmationRead: false,
+    changedFields: [],
+    currentStep: "issue",
+    // Returning callers: what we had on file, and which of it we're asking about
+    known: null,
+    confirmingKnown: null,
+    declinedKnown: {},
+    // Number the call/text came from, offered before asking for digits
+    callerIdPhone: "",
+    phoneSource: "",
+    // Digits heard so far when a ZIP/phone comes in over several utterances
+    zipDigits: "",
+    phoneDigits: "",
+    // ZIP heard but not yet confirmed with its town
+    zipTown: "",
+    pendingZip: "",
+    pendingZipTown: "",
+    zipRetried: false,
+    // "en" / "es" / "pt"; locked once chosen on the keypad or detected from the first turn
+    language: "en",
+    languageSource: "",
+    languageLocked: false,
+    // Set when the conversation ends early (out_of_area, ...) so later snapshots keep it
+    endOutcome: "",
+    endNotes: "",
+  };
+}
+
+function phoneLookupCandidates(phone = "") {
+  const digits = normalizePhone(phone);
+  if (!digits) return [];
+  const ten = digits.length === 11 && digits.startsWith("1") ? digits.substring(1) : digits;
+  return [...new Set([ten, `1${ten}`, `+1${ten}`, digits])];
+}
+
+/**
+ * Looks up what we already know about a phone number from earlier leads and
+ * call outcomes. Returns null for first-time callers.
+ */
+async function lookupReturningCaller(phone) {
+  const candidates = phoneLookupCandidates(phone);
+  if (!candidates.length) return null;
+  
+  try {
+    const [{ data: leads }, { data: outcomes }] = await Promise.all([
+      supabase
+        .from("leads")
+        .select("name, phone, zip_code, car_make_model, car_year, created_at")
+        .in("phone", candidates)
+        .order("created_at", { ascending: false })
+        .limit(1),
+      supabase
+        .from("call_outcomes")
+        .select("name, zip_code, car_make_model, car_year, created_at")
+        .in("caller_phone", candidates)
+        .not("name", "is", null)
+        .order("created_at", { ascending: false })
+        .limit(1),
+    ]);
+    
+    const lead = leads?.[0] || {};
+    const outcome = outcomes?.[0] || {};
+    const carMakeModel = [lead.car_make_model, outcome.car_make_model].find((c) => c && c !== "Unknown") || "";
+    
+    const known = {
+      name: lead.name || outcome.name || "",
+      zip: lead.zip_code || outcome.zip_code || "",
+      phone: extractPhone(lead.phone || ""),
+      carMakeModel,
+      carYear: carMakeModel ? String((lead.car_make_model === carMakeModel ? lead.car_year : outcome.car_year) || "") : "",
+    };
+    
+    if (!known.name && !known.zip && !known.carMakeModel) return null;
+    return known;
+  } catch (e) {
+    console.error("⚠️ Returning caller lookup failed:", e);
+    return null;
+  }
+}
+
+// Remembers the last contact from this number. Nothing is prefilled: someone else in the
+// household may be calling, so name/car/ZIP/phone each get a yes/no check first.
+function applyReturningCaller(state, known) {
+  if (!known) return;
+  state.known = known;
+  console.log("👋 Returning caller", known);
+}
+
+function knownCarSpoken(known) {
+  return `${known.carYear ? known.carYear + " " : ""}${known.carMakeModel}`.trim();
+}
+
+function canOfferKnown(state, field) {
+  if (state.declinedKnown[field]) return false;
+  if (field === "callerId") return Boolean(state.callerIdPhone);
+  
+  const known = state.known;
+  if (!known) return false;
+  if (field === "car") return Boolean(known.carMakeModel);
+  // Same number as caller ID gets offered as caller ID instead
+  if (field === "phone") return Boolean(known.phone) && known.phone !== state.callerIdPhone;
+  return Boolean(known[field]);
+}
+
+function acceptKnown(state, field) {
+  const { known } = state;
+  if (field === "callerId") {
+    state.phone = state.callerIdPhone;
+    state.phoneSource = "caller_id";
+    console.log(`✅ Using caller ID as callback number: ${state.phone}`);
+    return;
+  }
+  if (field === "car") {
+    state.carMakeModel = known.carMakeModel;
+    state.carYear = known.carYear || "";
+    const match = matchVehicle(known.carMakeModel, { year: state.carYear });
+    state.carMake = match?.make || "";
+    state.carModel = match?.model || "";
+  } else if (field === "zip") {
+    // The coverage list may have changed since their last call
+    const area = checkServiceZip(known.zip);
+    if (area.status !== "covered") {
+      state.declinedKnown.zip = true;
+      return;
+    }
+    state.zip = known.zip;
+    state.zipTown = area.town;
+  } else {
+    state[field] = known[field];
+  }
+  if (field === "phone") state.phoneSource = "previous_lead";
+  console.log(`✅ Reused ${field} from previous contact`);
+}
+
+function readyToConfirm(state) {
+  return Boolean(
+    state.issueText && 
+    state.carMakeModel && 
+    state.name && 
+    state.zip && 
+    state.phone && 
+    (state.urgency_window || state.urgencyUnclear) && 
+    (state.drivable || state.drivableUnclear)
+  );
+}
+
+const TRANSCRIPT_STATE_FIELDS = [
+  "currentStep", "issueText", "issueCategory", "carMakeModel", "carMake", "carModel", "carYear", "vin",
+  "awaitingVin", "name", "zip", "phone",
+  "urgency_window", "drivable", "awaitingConfirmation", "awaitingCorrectionChoice", "correctingField",
+  "confirmed", "leadCreated", "confirmingKnown", "phoneSource", "pendingZip", "zipTown", "endOutcome",
+  "zipDigits", "phoneDigits", "language", "urgencyUnclear", "drivableUnclear",
+];
+
+function diffIntakeState(before, after) {
+  const changes = {};
+  for (const key of TRANSCRIPT_STATE_FIELDS) {
+    if (before[key] !== after[key]) changes[key] = { from: before[key], to: after[key] };
+  }
+  return changes;
+}
+
+/**
+ * Runs one caller/texter turn through the intake flow.
+ * ctx: { channel, callSid, callerPhone, state, say, record, onHumanRequested, onConfirmed, endConversation }
+ * - say(text) delivers a reply (TTS for voice, queued reply for SMS)
+ * - record(speaker, text, opts) writes to the call transcript
+ * - onHumanRequested() / onConfirmed() handle the channel-specific endings
+ * - endConversation(text) says a final line and ends the call / SMS session
+ */
+async function runIntakeTurn(ctx, text) {
+  const before = { ...ctx.state };
+  ctx.record("caller", text, { currentStep: before.currentStep });
+  
+  try {
+    await advanceIntake(ctx, text);
+  } finally {
+    const changes = diffIntakeState(before, ctx.state);
+    if (Object.keys(changes).length) {
+      ctx.record("state", null, { currentStep: ctx.state.currentStep, data: changes });
+    }
+  }
+}
+
+// Asks only for what's missing instead of making them repeat the whole number
+function missingDigitsPrompt(have, need, isVoice, lang = "en") {
+  const remaining = need - have.length;
+  const heard = isVoice ? speakDigits(have, lang) : have;
+  return promptText(lang, "missingDigits", { heard, remaining });
+}
+
+const VIN_SKIP_RE = /\b(skip|never mind|nevermind|forget it|don'?t have|can'?t find|no vin|saltar|omitir|no lo tengo|no tengo|pular|não tenho|nao tenho)\b/i;
+
+/**
+ * Collects a VIN across utterances. Returns what to say next while we're still
+ * listening for characters, or "" once the VIN is done (or given up on) and the
+ * normal car questions should carry on.
+ */
+function collectVin(state, text, isVoice) {
+  if (VIN_SKIP_RE.test(text)) {
+    state.awaitingVin = false;
+    state.vinChars = "";
+    return "";
+  }
+  
+  const heard = parseSpokenVin(text);
+  const combined = heard.length >= 17 ? heard : state.vinChars + heard;
+  state.awaitingVin = true;
+  
+  if (combined.length < 17) {
+    state.vinChars = combined;
+    if (!combined) return promptText(state.language, "vinStart", { isVoice });
+    return promptText(state.language, "vinProgress", { count: combined.length });
+  }
+  
+  const vin = combined.substring(0, 17);
+  state.vinChars = "";
+  if (!isValidVin(vin)) {
+    console.log(`⚠️ VIN failed check digit: ${vin}`);
+    if (!state.vinRetried) {
+      state.vinRetried = true;
+      return promptText(state.language, "vinBad");
+    }
+    state.awaitingVin = false;
+    return "";
+  }
+  
+  state.vin = vin;
+  state.awaitingVin = false;
+  const decoded = decodeVin(vin);
+  if (decoded.make && !state.carMake) state.carMake = decoded.make;
+  if (decoded.year && !state.carYear) state.carYear = decoded.year;
+  console.log(`✅ Captured VIN: ${vin} (${decoded.year || "?"} ${decoded.make || "unknown make"})`);
+  return "";
+}
+
+// Fills carMake/carModel from whatever the caller said at the car step
+function applyVehicleMatch(state, text) {
+  const match = matchVehicle(text, { make: state.carMake, year: state.carYear });
+  if (match) {
+    state.carMake = match.make;
+    if (match.model) state.carModel = match.model;
+  } else if (!state.carMake) {
+    // Not in the catalog — keep the old best guess rather than lose it
+    const guess = extractCarMakeModel(text);
+    if (guess) {
+      const [make, ...rest] = guess.split(" ");
+      state.carMake = make;
+      state.carModel = rest.join(" ");
+    }
+  }
+  
+  // A make with no model is fine once we've asked for the model
+  if (state.carMake && (state.carModel || state.askedCarModel)) {
+    state.carMakeModel = `${state.carMake} ${state.carModel}`.trim();
+    state.correctingField = null;
+    console.log(`✅ Extracted car: ${state.carMakeModel}`);
+  } else if (!state.carMake && state.askedCar) {
+    state.carAttempts += 1;
+  }
+}
+
+// "actually", "sorry I meant", "no, it's…" — the caller is fixing something they already told us
+const CORRECTION_MARKER_RE = /(^|[^a-zà-ÿ])(actually|i meant|i mean|sorry,? i|scratch that|correction|that'?s wrong|that'?s not right|no,? (it'?s|its|it was|my|the)|en realidad|quise decir|me equivoqué|no,? (es|era|mi)|na verdade|quis dizer|me enganei|não,? (é|era|meu|minha)|nao,? (e|era|meu|minha))(?=$|[^a-zà-ÿ])/i;
+// "my ZIP is wrong" names a field to redo without giving the new value
+const WRONG_FIELD_RE = /(wrong|incorrect|not right|change|mal|incorrect[oa]|equivocad[oa]|cambiar|errad[oa]|mudar)/i;
+
+// What callers call each field when they want to change it, and how to start that field over.
+// Order matters: "phone number" should hit phone, not the "number" in something else.
+const CORRECTABLE_FIELDS = [
+  {
+    field: "zip",
+    re: /(zip|zip code|zipcode|código postal|codigo postal|cep)/i,
+    prompt: "correctZip",
+    reset: (state) => {
+      Object.assign(state, { zip: "", zipTown: "", pendingZip: "", pendingZipTown: "", zipDigits: "" });
+      state.declinedKnown.zip = true;
+    },
+  },
+  {
+    field: "name",
+    re: /(name|first name|nombre|nome)/i,
+    prompt: "correctName",
+    reset: (state) => {
+      state.name = "";
+      state.declinedKnown.name = true;
+    },
+  },
+  {
+    field: "car",
+    re: /(car|vehicle|make|model|coche|auto|vehículo|veículo|marca|modelo)/i,
+    prompt: "correctCar",
+    reset: (state) => {
+      Object.assign(state, {
+        carMakeModel: "", carMake: "", carModel: "", carYear: "", askedCar: true, askedCarModel: false, carAttempts: 0,
+        vin: "", vinChars: "", awaitingVin: false, vinRetried: false,
+      });
+    },
+  },
+  {
+    field: "issue",
+    re: /(issue|problem|what'?s wrong|falla|defeito)/i,
+    prompt: "correctIssue",
+    reset: (state) => {
+      state.issueText = "";
+    },
+  },
+  {
+    field: "phone",
+    re: /(phone|number|telephone|teléfono|telefone|número|numero)/i,
+    prompt: "correctPhone",
+    reset: (state) => {
+      Object.assign(state, { phone: "", phoneSource: "", phoneDigits: "" });
+      // They're changing it, so don't offer the number we already tried
+      state.declinedKnown.phone = true;
+      state.declinedKnown.callerId = true;
+    },
+  },
+  {
+    field: "urgency",
+    re: /(urgency|when|time|cuándo|cuando|urgencia|quando|urgência)/i,
+    prompt: "correctUrgency",
+    reset: (state) => {
+      Object.assign(state, { urgency_window: "", urgencyClarified: false, urgencyUnclear: false });
+    },
+  },
+  {
+    field: "drivable",
+    re: /(drivable|drive|driving|manejar|grúa|grua|dirigir|guincho)/i,
+    prompt: "correctDrivable",
+    reset: (state) => {
+      Object.assign(state, { drivable: "", drivableClarified: false, drivableUnclear: false });
+    },
+  },
+];
+
+function fieldIsFilled(state, field) {
+  const value = {
+    zip: state.zip, name: state.name, car: state.carMakeModel, issue: state.issueText,
+    phone: state.phone, urgency: state.urgency_window, drivable: state.drivable,
+  }[field];
+  return Boolean(value);
+}
+
+function markChanged(state, field) {
+  if (!state.changedFields.includes(field)) state.changedFields.push(field);
+}
+
+// Clears a field so the flow asks for it again; returns the prompt key that asks
+function startFieldCorrection(state, field) {
+  const entry = CORRECTABLE_FIELDS.find((f) => f.field === field);
+  entry.reset(state);
+  state.correctingField = field;
+  state.currentStep = field;
+  state.confirmingKnown = null;
+  state.awaitingCorrectionChoice = false;
+  state.awaitingConfirmation = false;
+  markChanged(state, field);
+  return entry.prompt;
+}
+
+/**
+ * Overwrites answers we already have with the ones in a correction
+ * ("actually my ZIP is 02145, and it's a 2017"). Fields we don't have yet are
+ * left for the normal flow to fill. Returns the fields that changed.
+ */
+async function applyCorrections(ctx, { source, fields }) {
+  const { state } = ctx;
+  const changed = [];
+  
+  if (fields.zip && state.zip && fields.zip !== state.zip) {
+    const area = checkServiceZip(fields.zip);
+    if (area.status === "not_covered") {
+      await endOutOfArea(ctx, fields.zip, area.town);
+      return changed;
+    }
+    if (area.status === "covered") {
+      state.zip = fields.zip;
+      state.zipTown = area.town;
+      changed.push("zip");
+    }
+  }
+  
+  if (fields.name && state.name && foldText(fields.name) !== foldText(state.name)) {
+    state.name = fields.name;
+    changed.push("name");
+  }
+  
+  if (fields.phone && state.phone && fields.phone !== state.phone) {
+    state.phone = fields.phone;
+    state.phoneSource = "spoken";
+    changed.push("phone");
+  }
+  
+  if (state.carMakeModel && (fields.carMake || fields.carYear)) {
+    const newMake = fields.carMake && fields.carMake !== state.carMake;
+    const make = fields.carMake || state.carMake;
+    const model = fields.carMake ? fields.carModel : state.carModel;
+    // A different car probably isn't the same year
+    const year = fields.carYear || (newMake ? "" : state.carYear);
+    const carMakeModel = model ? `${make} ${model}` : "";
+    if (carMakeModel !== state.carMakeModel || year !== state.carYear) {
+      Object.assign(state, { carMake: make, carModel: model, carYear: year, carMakeModel, askedCarModel: false });
+      if (newMake) state.vin = "";
+      changed.push("car");
+    }
+  }
+  
+  if (fields.urgency && (state.urgency_window || state.urgencyUnclear) && fields.urgency !== state.urgency_window) {
+    state.urgency_window = fields.urgency;
+    state.urgencyUnclear = false;
+    changed.push("urgency");
+  }
+  
+  if (fields.drivable && (state.drivable || state.drivableUnclear) && fields.drivable !== state.drivable) {
+    state.drivable = fields.drivable;
+    state.drivableUnclear = false;
+    changed.push("drivable");
+  }
+  
+  // Mid-call, more about the problem is extra detail — it only replaces the issue at the readback.
+  // The regex fallback's issue is the whole utterance, so it only counts when nothing else changed.
+  const fixingReadback = state.awaitingCorrectionChoice || state.awaitingConfirmation;
+  const issueIsOwnAnswer = source === "llm" || !changed.length;
+  if (fixingReadback && issueIsOwnAnswer && fields.issue && state.issueText && fields.issue !== state.issueText) {
+    state.issueText = fields.issue;
+    state.issueCategory = categorizeIssue(fields.issue, state.language);
+    changed.push("issue");
+  }
+  
+  if (changed.length) {
+    changed.forEach((field) => markChanged(state, field));
+    state.correctingField = null;
+    console.log(`✏️ Corrected from ${source}: ${changed.join(", ")}`);
+    ctx.record("correction", null, { currentStep: state.currentStep, data: { source, fields, changed } });
+  }
+  return changed;
+}
+
+// "your ZIP to 02145, Somerville, and your name to Dave"
+function describeChanges(state, fields, isVoice) {
+  const lang = languageOf(state.language);
+  const labels = CHANGE_LABELS[lang];
+  const valueOf = {
+    zip: () => `${isVoice ? speakZipDigits(state.zip, lang) : state.zip}${state.zipTown ? `, ${state.zipTown}` : ""}`,
+    name: () => state.name,
+    phone: () => (isVoice ? speakPhoneDigits(state.phone, lang) : state.phone),
+    car: () => `${state.carYear ? state.carYear + " " : ""}${state.carMakeModel}`.trim(),
+    issue: () => `"${state.issueText}"`,
+    urgency: () => labels.urgency[state.urgency_window] || state.urgency_window,
+    drivable: () => labels.drivable[state.drivable] || state.drivable,
+  };
+  const parts = fields.map((field) => `${labels.fields[field]} ${labels.to} ${valueOf[field]()}`);
+  if (parts.length < 2) return parts[0] || "";
+  return `${parts.slice(0, -1).join(", ")} ${labels.and} ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Fills whatever the caller volunteered beyond the question we asked
+ * ("I'm Dave in 01701, my 2016 Accord's brakes are grinding"). Never overwrites
+ * an answer we already have; a volunteered ZIP still gets confirmed with its town.
+ */
+async function applyExtractedFields(ctx, { source, fields }) {
+  const { state } = ctx;
+  const filled = [];
+  
+  if (fields.issue && !state.issueText) {
+    state.issueText = fields.issue;
+    state.issueCategory = categorizeIssue(fields.issue, state.language);
+    filled.push(`issue (${state.issueCategory})`);
+  }
+  
+  if (!state.carMakeModel && !state.awaitingVin && fields.carMake) {
+    if (!state.carMake) state.carMake = fields.carMake;
+    if (state.carMake === fields.carMake && fields.carModel && !state.carModel) state.carModel = fields.carModel;
+    if (fields.carYear && !state.carYear) state.carYear = fields.carYear;
+    if (state.carModel) {
+      state.carMakeModel = `${state.carMake} ${state.carModel}`;
+      filled.push(`car (${state.carYear ? state.carYear + " " : ""}${state.carMakeModel})`);
+    } else {
+      filled.push(`make (${state.carMake})`);
+    }
+  }
+  
+  if (fields.name && !state.name) {
+    state.name = fields.name;
+    filled.push(`name (${state.name})`);
+  }
+  
+  if (fields.phone && !state.phone) {
+    state.phone = fields.phone;
+    state.phoneSource = "spoken";
+    state.phoneDigits = "";
+    filled.push(`phone (${state.phone})`);
+  }
+  
+  if (fields.urgency && !state.urgency_window) {
+    state.urgency_window = fields.urgency;
+    state.urgencyUnclear = false;
+    filled.push(`urgency (${state.urgency_window})`);
+  }
+  
+  if (fields.drivable && !state.drivable) {
+    state.drivable = fields.drivable;
+    state.drivableUnclear = false;
+    filled.push(`drivability (${state.drivable})`);
+  }
+  
+  if (fields.zip && !state.zip && !state.pendingZip) {
+    const area = checkServiceZip(fields.zip);
+    if (area.status === "covered") {
+      state.pendingZip = fields.zip;
+      state.pendingZipTown = area.town;
+      state.zipDigits = "";
+      filled.push(`ZIP (${fields.zip}, ${area.town})`);
+    } else if (area.status === "not_covered") {
+      await endOutOfArea(ctx, fields.zip, area.town);
+    }
+  }
+  
+  if (filled.length) {
+    console.log(`✅ Extracted from ${source}: ${filled.join(", ")}`);
+    ctx.record("extraction", null, { currentStep: state.currentStep, data: { source, fields } });
+  }
+}
+
+// Politely turn away callers we can't serve — no lead, but the outcome is recorded
+async function endOutOfArea(ctx, zip, town) {
+  const { state, callSid, callerPhone, channel } = ctx;
+  const where = town || promptText(state.language, "zipWhere", { zip: channel === "voice" ? speakZipDigits(zip, state.language) : zip });
+  
+  state.endOutcome = "out_of_area";
+  state.endNotes = town ? `Outside service area: ${zip} (${town})` : `Not a recognized Massachusetts ZIP: ${zip}`;
+  console.log(`🗺️ Out of service area: ${zip}${town ? ` (${town})` : ""}`);
+  
+  await upsertCallOutcome({
+    callSid,
+    patch: {
+      ...callOutcomeDetails(state, callerPhone),
+      zip_code: zip,
+      confirmed: false,
+      outcome: state.endOutcome,
+      notes: state.endNotes,
+      source: channel,
+    },
+  });
+  
+  await ctx.endConversation(promptText(state.language, "outOfArea", { where }));
+}
+
+async function advanceIntake(ctx, text) {
+  const { channel, callSid, callerPhone, state, say } = ctx;
+  const isVoice = channel === "voice";
+  const lang = state.language;
+  const line = (key, vars = {}) => promptText(lang, key, { isVoice, ...vars });
+  const askedStep = state.currentStep;
+  // A bare "yes"/"no" answers the question and nothing more
+  const bareYesNo = text.split(/\s+/).length <= 3 && (looksLikeYes(text, lang) || looksLikeNo(text, lang));
+  // One extraction per turn, shared by corrections and volunteered fields
+  let extracted = null;
+  const extract = async () => (extracted ??= await extractIntakeFields(text, state, askedStep));
+  
+  if (wantsHumanFromText(text)) {
+    await upsertCallOutcome({
+      callSid,
+      patch: {
+        ...callOutcomeDetails(state, callerPhone),
+        confirmed: false,
+        outcome: "transfer_requested",
+        notes: "User requested a human",
+        source: channel,
+      },
+    });
+    await ctx.onHumanRequested();
+    return;
+  }
+  
+  // Corrections: after a "no" at the readback, or "actually…" at any point in the call
+  const rejectsReadback = state.awaitingConfirmation && !bareYesNo && looksLikeNo(text, lang);
+  if (state.awaitingCorrectionChoice || rejectsReadback || CORRECTION_MARKER_RE.test(text)) {
+    const { source, fields } = await extract();
+    const changed = await applyCorrections(ctx, {
+      source,
+      fields: source === "regex" ? regexCorrectionFields(text, state, askedStep) : fields,
+    });
+    if (state.endOutcome) return;
+    
+    if (changed.length) {
+      // Whatever we were checking with them gets asked again after the correction
+      state.confirmingKnown = null;
+      state.awaitingCorrectionChoice = false;
+      state.awaitingConfirmation = false;
+      // Once everything's in, the readback itself says what changed
+      if (!readyToConfirm(state)) {
+        await say(line("correctionNoted", { changes: describeChanges(state, changed, isVoice) }));
+      }
+      await askNextQuestion(ctx);
+      return;
+    }
+    
+    // "my ZIP is wrong" / "the phone number" — no new value, so ask for that field again
+    const named = CORRECTABLE_FIELDS.find((f) => f.re.test(text));
+    if (named && (state.awaitingCorrectionChoice || rejectsReadback || (WRONG_FIELD_RE.test(text) && fieldIsFilled(state, named.field)))) {
+      await say(line(startFieldCorrection(state, named.field)));
+      return;
+    }
+    
+    if (state.awaitingCorrectionChoice) {
+      await say(line("correctUnclear"));
+      return;
+    }
+  }
+  
+  if (state.confirmingKnown) {
+    const field = state.confirmingKnown;
+    state.confirmingKnown = null;
+    
+    if (looksLikeYes(text, lang)) {
+      acceptKnown(state, field);
+    } else {
+      // "No" (or anything else) — fall through so "no, it's a 2019 Camry" still gets extracted
+      state.declinedKnown[field] = true;
+    }
+  }
+  
+  if (state.awaitingFollowupResponse) {
+    if (text.length > 3) {
+      state.issueText = `${state.issueText}. ${text}`;
+      state.awaitingFollowupResponse = false;
+      state.currentStep = "car";
+      console.log(`✅ Added followup details: ${text}`);
+    }
+  }
+  
+  if (state.currentStep === "zip" && !state.zip) {
+    const collected = collectSpokenDigits(state.pendingZip ? "" : state.zipDigits, text, "zip", lang);
+    const z = collected.value;
+    state.zipDigits = collected.buffer;
+    
+    if (state.pendingZip) {
+      if (looksLikeYes(text, lang) && (!z || z === state.pendingZip)) {
+        state.zip = state.pendingZip;
+        state.zipTown = state.pendingZipTown;
+        state.correctingField = null;
+        console.log(`✅ Confirmed ZIP: ${state.zip} (${state.zipTown})`);
+      }
+      state.pendingZip = "";
+      state.pendingZipTown = "";
+    }
+    
+    if (!state.zip && z) {
+      const area = checkServiceZip(z);
+      console.log(`✅ Extracted ZIP: ${z} (${area.status}${area.town ? `, ${area.town}` : ""})`);
+      
+      if (area.status === "covered") {
+        state.pendingZip = z;
+        state.pendingZipTown = area.town;
+      } else if (area.status === "unknown" && !state.zipRetried) {
+        // Usually a mis-heard digit — give them one more try before turning them away
+        state.zipRetried = true;
+        await say(line("zipUnknown", { zip: isVoice ? speakZipDigits(z, lang) : z }));
+        return;
+      } else {
+        await endOutOfArea(ctx, z, area.town);
+        return;
+      }
+    }
+  }
+  
+  if (state.currentStep === "phone" && !state.phone) {
+    const collected = collectSpokenDigits(state.phoneDigits, text, "phone", lang);
+    const p = collected.value;
+    state.phoneDigits = collected.buffer;
+    if (collected.numberWords) console.log(`⚠️ Phone answer had number words ("${text}") — waiting for single digits`);
+    if (p) {
+      state.phone = p;
+      state.phoneSource = "spoken";
+      state.correctingField = null;
+      console.log(`✅ Extracted phone: ${p}`);
+    }
+  }
+  
+  if (state.currentStep === "name" && !state.name) {
+    // "No, this is Mike" to "am I speaking with Sam?" — the name is what follows the no
+    const answer = text.trim().replace(NO_PATTERNS[lang] || NO_PATTERNS.en, "").replace(NO_PATTERNS.en, "").replace(/^[\s,.!]+/, "");
+    const n = extractName(answer);
+    if (n) {
+      state.name = n;
+      state.correctingField = null;
+      console.log(`✅ Extracted name: ${n}`);
+    }
+  }
+  
+  if (state.currentStep === "car" && !state.carMakeModel) {
+    // "Actually it's a Honda Civic" while we're waiting on VIN characters
+    if (state.awaitingVin && matchVehicle(text, { make: state.carMake })?.model) {
+      state.awaitingVin = false;
+      state.vinChars = "";
+    }
+    if (state.awaitingVin || /\b(vin|chassi)\b/i.test(text)) {
+      const vinReply = collectVin(state, text, ctx.channel === "voice");
+      if (vinReply) {
+        await say(vinReply);
+        return;
+      }
+    }
+    
+    if (!state.carYear) {
+      const y = extractCarYear(text);
+      if (y) {
+        state.carYear = y;
+        console.log(`✅ Extracted year: ${y}`);
+      }
+    }
+    
+    if (!state.awaitingVin) applyVehicleMatch(state, text);
+  }
+  
+  if (state.currentStep === "issue" && !state.issueText) {
+    const z = extractZip(text, lang);
+    const n = extractName(text);
+    
+    if (!z && !n && text.length > 6) {
+      state.issueText = text;
+      state.issueCategory = categorizeIssue(text, lang);
+      state.correctingField = null;
+      console.log(`✅ Captured issue: ${text} (category: ${state.issueCategory})`);
+    }
+  }
+  
+  if (state.currentStep === "urgency" && !state.urgency_window && !state.urgencyUnclear) {
+    const urgency = classifyUrgency(text, lang);
+    if (urgency) {
+      state.urgency_window = urgency;
+      state.correctingField = null;
+      console.log(`✅ Captured urgency: ${urgency} ("${text}")`);
+    } else if (state.urgencyClarified) {
+      // Asked twice already — don't hold the call up over it, but don't guess either
+      state.urgencyUnclear = true;
+      state.correctingField = null;
+      console.log(`⚠️ Urgency still unclear ("${text}") — leaving it blank for the shop to ask`);
+    } else {
+      state.urgencyClarified = true;
+    }
+  }
+  
+  if (state.currentStep === "drivable" && !state.drivable && !state.drivableUnclear) {
+    const drivable = classifyDrivable(text, lang);
+    if (drivable) {
+      state.drivable = drivable;
+      state.correctingField = null;
+      console.log(`✅ Captured drivability: ${drivable} ("${text}")`);
+    } else if (state.drivableClarified) {
+      state.drivableUnclear = true;
+      state.correctingField = null;
+      console.log(`⚠️ Drivability still unclear ("${text}") — leaving it blank for the shop to ask`);
+    } else {
+      state.drivableClarified = true;
+    }
+  }
+  
+  // Everything else they volunteered beyond the question we asked
+  if (!state.awaitingConfirmation && !state.awaitingVin && !bareYesNo) {
+    await applyExtractedFields(ctx, await extract());
+    if (state.endOutcome) return;
+  }
+  
+  if (state.awaitingConfirmation && !state.confirmed) {
+    if (looksLikeYes(text, lang)) {
+      state.confirmed = true;
+      state.awaitingConfirmation = false;
+      
+      await upsertCallOutcome({
+        callSid,
+        patch: {
+          ...callOutcomeDetails(state, callerPhone),
+          confirmed: true,
+          outcome: "confirmed",
+          notes: isVoice ? "Confirmed details on call" : "Confirmed details over SMS",
+          source: channel,
+        },
+      });
+      
+      if (!state.leadCreated) {
+        const leadRes = await createLeadFromCall({ callSid, callerPhone, state, leadSource: channel });
+        if (leadRes.ok) {
+          state.leadCreated = true;
+          state.leadCode = leadRes.lead?.lead_code || "";
+          console.log(`✅ Lead created from ${channel}:`, leadRes.lead);
+          
+          // SMS conversations get the lead code in the reply itself. On a call, wait for
+          // Twilio to take the text so the goodbye only promises one that's on its way.
+          if (isVoice) {
+            state.confirmationSms = await sendLeadConfirmationSms({ lead: leadRes.lead, state, callerPhone }).catch((e) => {
+              console.error("❌ Confirmation SMS exception:", e);
+              return "failed";
+            });
+          }
+        }
+      }
+      
+      await ctx.onConfirmed();
+      return;
+    }
+    
+    if (looksLikeNo(text, lang)) {
+      state.awaitingConfirmation = false;
+      state.awaitingCorrectionChoice = true;
+      await say(line("whatToCorrect"));
+      return;
+    }
+    
+    await say(line("confirmUnclear"));
+    return;
+  }
+  
+  await askNextQuestion(ctx);
+}
+
+// Asks for the next missing field, or reads the details back once everything's in
+async function askNextQuestion(ctx) {
+  const { channel, state, say } = ctx;
+  const isVoice = channel === "voice";
+  const lang = state.language;
+  const line = (key, vars = {}) => promptText(lang, key, { isVoice, ...vars });
+  
+  if (!state.issueText) {
+    state.currentStep = "issue";
+    await say(line("askIssue"));
+    return;
+  }
+  
+  if (state.issueText && !state.askedFollowup) {
+    state.askedFollowup = true;
+    state.awaitingFollowupResponse = true;
+    state.currentStep = "followup";
+    const followups = FOLLOWUP_BY_CATEGORY[lang] || FOLLOWUP_BY_CATEGORY.en;
+    const followup = followups[state.issueCategory] || followups.general;
+    await say(followup);
+    return;
+  }
+  
+  if (!state.carMakeModel) {
+    state.currentStep = "car";
+    if (canOfferKnown(state, "car")) {
+      state.confirmingKnown = "car";
+      await say(line("knownCar", { car: knownCarSpoken(state.known) }));
+      return;
+    }
+    if (state.carMake && !state.askedCarModel) {
+      state.askedCarModel = true;
+      await say(line("askModel", { car: `${state.carYear ? state.carYear + " " : ""}${state.carMake}` }));
+      return;
+    }
+    if (state.carAttempts > 0 && !state.vinRetried) {
+      await say(line("carRetry"));
+      return;
+    }
+    state.askedCar = true;
+    await say(line("askCar"));
+    return;
+  }
+  
+  if (!state.name) {
+    state.currentStep = "name";
+    if (canOfferKnown(state, "name")) {
+      state.confirmingKnown = "name";
+      await say(line("knownName", { name: state.known.name }));
+      return;
+    }
+    await say(line("askName"));
+    return;
+  }
+  
+  if (!state.zip) {
+    state.currentStep = "zip";
+    if (state.pendingZip) {
+      await say(line("zipConfirm", { zip: isVoice ? speakZipDigits(state.pendingZip, lang) : state.pendingZip, town: state.pendingZipTown }));
+      return;
+    }
+    if (canOfferKnown(state, "zip")) {
+      state.confirmingKnown = "zip";
+      await say(line("knownZip", { zip: isVoice ? speakZipDigits(state.known.zip, lang) : state.known.zip }));
+      return;
+    }
+    if (state.zipDigits) {
+      await say(missingDigitsPrompt(state.zipDigits, 5, isVoice, lang));
+      return;
+    }
+    await say(line("askZip"));
+    return;
+  }
+  
+  if (!state.phone) {
+    state.currentStep = "phone";
+    if (canOfferKnown(state, "phone")) {
+      state.confirmingKnown = "phone";
+      await say(line("knownPhone", { phone: isVoice ? speakPhoneDigits(state.known.phone, lang) : state.known.phone }));
+      return;
+    }
+    if (canOfferKnown(state, "callerId")) {
+      state.confirmingKnown = "callerId";
+      await say(line("callerId", { phone: isVoice ? speakPhoneDigits(state.callerIdPhone, lang) : state.callerIdPhone }));
+      return;
+    }
+    if (state.phoneDigits) {
+      await say(missingDigitsPrompt(state.phoneDigits, 10, isVoice, lang));
+      return;
+    }
+    await say(line("askPhone"));
+    return;
+  }
+  
+  if (!state.urgency_window && !state.urgencyUnclear) {
+    state.currentStep = "urgency";
+    await say(line(state.urgencyClarified ? "clarifyUrgency" : "askUrgency"));
+    return;
+  }
+  
+  if (!state.drivable && !state.drivableUnclear) {
+    state.currentStep = "drivable";
+    await say(line(state.drivableClarified ? "clarifyDrivable" : "askDrivable"));
+    return;
+  }
+  
+  if (readyToConfirm(state) && !state.confirmed && !state.awaitingConfirmation) {
+    state.awaitingConfirmation = true;
+    state.currentStep = "confirm";
+    
+    if (state.confirmationRead && state.changedFields.length) {
+      await say(line("confirmChanges", { changes: describeChanges(state, state.changedFields, isVoice) }));
+      state.changedFields = [];
+      return;
+    }
+    
+    state.confirmationRead = true;
+    state.changedFields = [];
+    const zipSpoken = isVoice ? speakZipDigits(state.zip, lang) : state.zip;
+    const phoneSpoken = isVoice ? speakPhoneDigits(state.phone, lang) : state.phone;
+    const carSpoken = `${state.carYear ? state.carYear + " " : ""}${state.carMakeModel}`.trim();
+    await say(line("confirmDetails", {
+      name: state.name, town: state.zipTown, zip: zipSpoken, phone: phoneSpoken, car: carSpoken, issue: state.issueText,
+    }));
+    return;
+  }
+}
+
+//────────────────────────────────────────────────────────────────────────────────
+// 14) TWILIO SMS WEBHOOK
+//────────────────────────────────────────────────────────────────────────────────
+
+const SMS_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Per-number conversation state, keyed by normalized phone
+const smsSessions = new Map();
+
+function pruneSmsSessions() {
+  const now = Date.now();
+  for (const [phone, session] of smsSessions) {
+    if (now - session.updatedAt > SMS_SESSION_TTL_MS) smsSessions.delete(phone);
+  }
+}
+
+function getSmsSession(phone) {
+  pruneSmsSessions();
+  let session = smsSessions.get(phone);
+  if (!session) {
+    session = {
+      // SMS has no CallSid, so give each conversation its own call_outcomes key
+      callSid: `sms-${phone}-${Date.now()}`,
+      state: createIntakeState(),
+      record: null,
+      isNew: true,
+      queue: Promise.resolve(),
+      updatedAt: Date.now(),
+    };
+    session.record = createTranscriptRecorder({ getCallSid: () => session.callSid, channel: "sms" });
+    smsSessions.set(phone, session);
+  }
+  return session;
+}
+
+// Texters pick a language by writing in it, or by asking for it ("español", "português")
+function smsLanguageFor(text = "") {
+  const lower = String(text).toLowerCase();
+  if (/espa[ñn]ol|spanish/.test(lower)) return "es";
+  if (/portugu[eê]s|portuguese/.test(lower)) return "pt";
+  return detectLanguage(text) || "en";
 }
 
-async function hangupCall(callSid) {
-  if (!callSid) return console.error("❌ Missing callSid — cannot hangup");
+async function handleSmsTurn(fromPhone, text) {
+  const session = getSmsSession(fromPhone);
+  const { state } = session;
+  const replies = [];
+  const reply = (text) => {
+    session.record("bot", text, { currentStep: state.currentStep });
+    replies.push(text);
+  };
   
-  const baseUrl = PUBLIC_BASE_URL || "https://mass-mechanic-bot.onrender.com";
-  const hangupUrl = `${baseUrl}/hangup`;
+  if (session.isNew) {
+    session.isNew = false;
+    state.language = smsLanguageFor(text);
+    state.languageSource = "detected";
+    state.languageLocked = true;
+    state.callerIdPhone = extractPhone(fromPhone);
+    applyReturningCaller(state, await lookupReturningCaller(fromPhone));
+    reply(state.known?.name
+      ? promptText(state.language, "smsWelcomeBack", { name: state.known.name })
+      : promptText(state.language, "smsGreeting"));
+    await upsertCallOutcome({
+      callSid: session.callSid,
+      patch: {
+        caller_phone: fromPhone,
+        source: "sms",
+        outcome: "in_progress",
+        confirmed: false,
+        notes: null,
+      },
+    });
+  }
+  
+  let ended = false;
   
   try {
-    await twilioClient.calls(callSid).update({ url: hangupUrl, method: "POST" });
-    console.log("📞 Call hangup initiated", { callSid });
-  } catch (error) {
-    console.error("❌ Hangup failed:", error);
+    await runIntakeTurn(
+      {
+        channel: "sms",
+        callSid: session.callSid,
+        callerPhone: fromPhone,
+        state,
+        record: session.record,
+        say: async (text) => {
+          console.log(`🤖 SMS Bot → ${fromPhone}: ${text}`);
+          reply(text);
+        },
+        onHumanRequested: async () => {
+          ended = true;
+          const availability = operatorAvailability();
+          reply(availability.open
+            ? promptText(state.language, "smsHumanOpen")
+            : promptText(state.language, "smsHumanClosed", { nextOpen: describeNextOpen(availability.next, state.language) }));
+          if (ADMIN_ESCALATION_PHONE) {
+            await sendSms(
+              ADMIN_ESCALATION_PHONE,
+              `Mass Mechanic: texter ${fromPhone} asked for a human. Issue: ${state.issueText || "unknown"}`
+            ).catch((e) => console.error("⚠️ Admin SMS failed:", e?.message || e));
+          }
+        },
+        endConversation: async (text) => {
+          ended = true;
+          reply(text);
+        },
+        onConfirmed: async () => {
+          ended = true;
+          reply(promptText(state.language, "smsGoodbye", { name: state.name, leadCode: state.leadCode, zip: state.zip }));
+        },
+      },
+      text
+    );
+  } catch (e) {
+    console.error("❌ SMS Processing Error:", e);
+    reply(promptText(state.language, "glitch", { isVoice: false }));
+  }
+  
+  session.updatedAt = Date.now();
+  
+  if (ended) {
+    smsSessions.delete(fromPhone);
+    metrics.callOutcomes.inc({
+      source: "sms",
+      outcome: state.endOutcome || (state.confirmed ? "confirmed" : "transfer_requested"),
+    });
+  } else {
+    await upsertCallOutcome({
+      callSid: session.callSid,
+      patch: {
+        ...callOutcomeDetails(state, fromPhone),
+        confirmed: false,
+        outcome: "in_progress",
+        source: "sms",
+      },
+    });
   }
+  
+  return replies;
 }
 
-async function upsertCallOutcome({ callSid, patch }) {
-  if (!callSid) return;
+// Twilio delivery status for the post-call confirmation text
+app.post("/sms/status", requireTwilioSignature, async (req, res) => {
+  const leadId = req.query?.lead_id;
+  const status = req.body?.MessageStatus || req.body?.SmsStatus || "";
+  
+  if (leadId && status) {
+    await updateLeadSmsStatus(leadId, {
+      confirmation_sms_status: status,
+      confirmation_sms_error: req.body?.ErrorCode ? `Twilio error ${req.body.ErrorCode}` : null,
+    });
+    console.log("📨 Confirmation SMS status", { leadId, status });
+  }
+  res.sendStatus(204);
+});
+
+app.post("/sms", requireTwilioSignature, async (req, res) => {
+  res.type("text/xml");
+  const from = normalizePhone(req.body?.From || "");
+  const text = String(req.body?.Body || "").trim();
+  
+  if (!from || !text) {
+    return res.send(`<Response></Response>`);
+  }
+  
+  console.log(`💬 SMS from ${from}: ${text}`);
+  
+  // Serialize turns per number so back-to-back texts don't race on the same state
+  const session = getSmsSession(from);
+  const turn = session.queue.then(() => handleSmsTurn(from, text));
+  session.queue = turn.catch(() => {});
+  
+  const replies = await turn.catch((e) => {
+    console.error("❌ SMS webhook error:", e);
+    return ["Sorry — I had a quick technical glitch. Please reply again in a moment."];
+  });
+  
+  return res.send(`
+<Response>
+  <Message>${escapeXml(replies.join("\n\n"))}</Message>
+</Response>
+  `);
+});
+
+//────────────────────────────────────────────────────────────────────────────────
+// 15) ADMIN API
+//────────────────────────────────────────────────────────────────────────────────
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ ok: false, error: "admin API disabled (ADMIN_API_TOKEN not set)" });
+  }
+  const auth = String(req.headers.authorization || "");
+  if (auth !== `Bearer ${ADMIN_API_TOKEN}`) {
+    return res.status(401).json({ ok: false, error: "unauthorized" });
+  }
+  return next();
+}
+
+const ADMIN_DEFAULT_LIMIT = 50;
+const ADMIN_MAX_LIMIT = 200;
+// PostgREST caps a single response, so the stats endpoint pages through in chunks this size
+const ADMIN_PAGE_SIZE = 1000;
+const ADMIN_STATS_MAX_DAYS = 92;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Outcomes where the caller ended up with (or asking for) a person
+const TRANSFER_OUTCOMES = new Set(["transfer_requested", "transferred", "voicemail"]);
+// Calls that ended on purpose rather than being abandoned partway
+const NOT_DROP_OFF_OUTCOMES = new Set([...TRANSFER_OUTCOMES, "out_of_area", "confirmed", "completed"]);
+
+function adminPaging(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || ADMIN_DEFAULT_LIMIT, 1), ADMIN_MAX_LIMIT);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+/**
+ * from/to are business-time-zone days (YYYY-MM-DD), both inclusive.
+ * Returns { from, to, start, end } with start/end as ISO instants, or { error }.
+ */
+function adminDateRange(query, defaultDays = 0) {
+  const today = localBusinessTime().date;
+  const to = query.to || (defaultDays ? today : "");
+  const from = query.from || (defaultDays ? addDays(to, 1 - defaultDays) : "");
+  
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) {
+    return { error: "from/to must be YYYY-MM-DD" };
+  }
+  if (from && to && from > to) return { error: "from is after to" };
+  
+  return {
+    from,
+    to,
+    start: from ? businessDayStart(from).toISOString() : "",
+    end: to ? businessDayStart(addDays(to, 1)).toISOString() : "",
+  };
+}
+
+function withDateRange(query, { start, end }) {
+  if (start) query = query.gte("created_at", start);
+  if (end) query = query.lt("created_at", end);
+  return query;
+}
+
+// "sent" once any mechanic got it, "failed" if every attempt failed, "pending" before the first attempt
+function dispatchStatus(dispatches = []) {
+  if (!dispatches.length) return "pending";
+  if (dispatches.some((d) => d.status === "sent")) return "sent";
+  return "failed";
+}
+
+async function dispatchesByLead(leadIds) {
+  if (!leadIds.length) return new Map();
+  const { data, error } = await supabase
+    .from("lead_dispatches")
+    .select("*")
+    .in("lead_id", leadIds)
+    .order("created_at", { ascending: true });
+  if (error) throw new Error(error.message);
+  
+  const byLead = new Map();
+  for (const row of data || []) {
+    if (!byLead.has(row.lead_id)) byLead.set(row.lead_id, []);
+    byLead.get(row.lead_id).push(row);
+  }
+  return byLead;
+}
+
+// GET /admin/calls?outcome=confirmed,voicemail&from=2024-06-01&to=2024-06-07&zip=02139&category=brakes&source=voice
+app.get("/admin/calls", requireAdmin, async (req, res) => {
+  const { limit, offset } = adminPaging(req.query);
+  const range = adminDateRange(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  
   try {
-    const { data: existing } = await supabase
+    let query = supabase
       .from("call_outcomes")
-      .select("call_sid")
-      .eq("call_sid", callSid)
-      .maybeSingle();
+      .select("*")
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
     
-    if (existing) {
-      const { error } = await supabase
-        .from("call_outcomes")
-        .update(patch)
-        .eq("call_sid", callSid);
-      if (error) console.error("⚠️ call_outcomes update failed:", error.message);
-    } else {
-      const { error } = await supabase
-        .from("call_outcomes")
-        .insert({ call_sid: callSid, ...patch });
-      if (error) console.error("⚠️ call_outcomes insert failed:", error.message);
+    if (req.query.outcome) query = query.in("outcome", String(req.query.outcome).split(","));
+    if (req.query.zip) query = query.eq("zip_code", String(req.query.zip));
+    if (req.query.category) query = query.eq("issue_category", String(req.query.category));
+    if (req.query.source) query = query.eq("source", String(req.query.source));
+    query = withDateRange(query, range);
+    
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ ok: false, error: error.message });
+    
+    return res.json({ ok: true, calls: data || [], limit, offset });
+  } catch (e) {
+    console.error("❌ Admin call list failed:", e);
+    return res.status(500).json({ ok: false, error: e?.message || "unknown" });
+  }
+});
+
+app.get("/admin/calls/:callSid", requireAdmin, async (req, res) => {
+  const { callSid } = req.params;
+  
+  try {
+    const [{ data: outcome, error: outcomeError }, { data: leads, error: leadError }] = await Promise.all([
+      supabase.from("call_outcomes").select("*").eq("call_sid", callSid).maybeSingle(),
+      supabase.from("leads").select("*").eq("call_sid", callSid).order("created_at", { ascending: false }).limit(1),
+    ]);
+    
+    if (outcomeError || leadError) {
+      return res.status(500).json({ ok: false, error: (outcomeError || leadError).message });
     }
+    if (!outcome) return res.status(404).json({ ok: false, error: "call not found" });
+    
+    const lead = leads?.[0] || null;
+    const dispatches = lead ? (await dispatchesByLead([lead.id])).get(lead.id) || [] : [];
+    
+    return res.json({
+      ok: true,
+      call: outcome,
+      lead: lead && { ...lead, dispatch_status: dispatchStatus(dispatches), dispatches },
+    });
   } catch (e) {
-    console.error("⚠️ call_outcomes operation exception:", e);
+    console.error("❌ Admin call fetch failed:", e);
+    return res.status(500).json({ ok: false, error: e?.message || "unknown" });
   }
-}
+});
 
-// UPDATED: More conservative priority logic
-function isHighPriorityLead(urgency, drivable) {
-  // High priority ONLY if:
-  // 1. Extremely urgent (ASAP, right now, immediately, stranded, emergency) OR
-  // 2. Not drivable (needs towing)
+// GET /admin/leads?status=dispatched&from=2024-06-01 — voice leads unless ?source=sms
+app.get("/admin/leads", requireAdmin, async (req, res) => {
+  const { limit, offset } = adminPaging(req.query);
+  const range = adminDateRange(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
   
-  const isExtremelyUrgent = /(asap|right now|immediately|urgent|emergency|stranded|stuck|need help now|breaking down)/i.test(urgency || "");
-  const notDrivable = /(no|not drivable|can't drive|cant drive|wont move|stuck|needs tow|need.*tow|stranded)/i.test(drivable || "");
+  try {
+    let query = supabase
+      .from("leads")
+      .select("*")
+      .eq("lead_source", String(req.query.source || "voice"))
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (req.query.status) query = query.in("status", String(req.query.status).split(","));
+    if (req.query.zip) query = query.eq("zip_code", String(req.query.zip));
+    query = withDateRange(query, range);
+    
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ ok: false, error: error.message });
+    
+    const leads = data || [];
+    const byLead = await dispatchesByLead(leads.map((l) => l.id));
+    
+    return res.json({
+      ok: true,
+      leads: leads.map((lead) => {
+        const dispatches = byLead.get(lead.id) || [];
+        return { ...lead, dispatch_status: dispatchStatus(dispatches), dispatches };
+      }),
+      limit,
+      offset,
+    });
+  } catch (e) {
+    console.error("❌ Admin lead list failed:", e);
+    return res.status(500).json({ ok: false, error: e?.message || "unknown" });
+  }
+});
+
+function emptyDailyStats(date) {
+  return { date, calls: 0, confirmed: 0, transfers: 0, outcomes: {}, drop_off_steps: {} };
+}
+
+const ratio = (n, total) => (total ? Math.round((n / total) * 1000) / 1000 : null);
+
+// GET /admin/stats/daily?from=2024-06-01&to=2024-06-07&source=voice — last 7 days by default
+app.get("/admin/stats/daily", requireAdmin, async (req, res) => {
+  const range = adminDateRange(req.query, 7);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  if (addDays(range.from, ADMIN_STATS_MAX_DAYS) <= range.to) {
+    return res.status(400).json({ ok: false, error: `at most ${ADMIN_STATS_MAX_DAYS} days` });
+  }
   
-  // "Today" alone is not enough for high priority - they need to say it's urgent/ASAP
-  // Being drivable + regular urgency = low priority (maintenance path)
+  try {
+    const rows = [];
+    for (let page = 0; ; page++) {
+      let query = supabase
+        .from("call_outcomes")
+        .select("created_at, outcome, confirmed, last_step")
+        .order("created_at", { ascending: true })
+        .range(page * ADMIN_PAGE_SIZE, (page + 1) * ADMIN_PAGE_SIZE - 1);
+      if (req.query.source) query = query.eq("source", String(req.query.source));
+      
+      const { data, error } = await withDateRange(query, range);
+      if (error) return res.status(500).json({ ok: false, error: error.message });
+      rows.push(...(data || []));
+      if (!data || data.length < ADMIN_PAGE_SIZE) break;
+    }
+    
+    const days = new Map();
+    for (let day = range.from; day <= range.to; day = addDays(day, 1)) days.set(day, emptyDailyStats(day));
+    
+    for (const row of rows) {
+      const stats = days.get(localBusinessTime(new Date(row.created_at)).date);
+      if (!stats) continue;
+      
+      const outcome = row.outcome || "unknown";
+      stats.calls += 1;
+      stats.outcomes[outcome] = (stats.outcomes[outcome] || 0) + 1;
+      if (row.confirmed) stats.confirmed += 1;
+      if (TRANSFER_OUTCOMES.has(outcome)) stats.transfers += 1;
+      // Still in_progress means the conversation is live (or the server lost track of it)
+      if (!row.confirmed && outcome !== "in_progress" && !NOT_DROP_OFF_OUTCOMES.has(outcome)) {
+        const step = row.last_step || "unknown";
+        stats.drop_off_steps[step] = (stats.drop_off_steps[step] || 0) + 1;
+      }
+    }
+    
+    const daily = [...days.values()].map((d) => ({
+      ...d,
+      conversion_rate: ratio(d.confirmed, d.calls),
+      transfer_rate: ratio(d.transfers, d.calls),
+    }));
+    
+    return res.json({
+      ok: true,
+      from: range.from,
+      to: range.to,
+      timezone: BUSINESS_TIMEZONE,
+      days: daily,
+    });
+  } catch (e) {
+    console.error("❌ Admin stats failed:", e);
+    return res.status(500).json({ ok: false, error: e?.message || "unknown" });
+  }
+});
+
+app.get("/admin/calls/:callSid/transcript", requireAdmin, async (req, res) => {
+  const { callSid } = req.params;
   
-  return isExtremelyUrgent || notDrivable;
+  try {
+    const [{ data: outcome, error: outcomeError }, { data: turns, error: turnsError }] = await Promise.all([
+      supabase.from("call_outcomes").select("*").eq("call_sid", callSid).maybeSingle(),
+      supabase.from("call_transcripts").select("*").eq("call_sid", callSid).order("seq", { ascending: true }),
+    ]);
+    
+    if (outcomeError || turnsError) {
+      return res.status(500).json({ ok: false, error: (outcomeError || turnsError).message });
+    }
+    if (!outcome && !turns?.length) {
+      return res.status(404).json({ ok: false, error: "call not found" });
+    }
+    
+    return res.json({ ok: true, call_sid: callSid, outcome, transcript: turns || [] });
+  } catch (e) {
+    console.error("❌ Transcript fetch failed:", e);
+    return res.status(500).json({ ok: false, error: e?.message || "unknown" });
+  }
+});
+
+//────────────────────────────────────────────────────────────────────────────────
+// 16) WEBSOCKET SERVER FOR TWILIO MEDIA STREAMS
+//────────────────────────────────────────────────────────────────────────────────
+
+const server = app.listen(PORT, () => {
+  console.log(`✅ MassMechanic Running on ${PORT}`);
+  warmPhraseCache().catch((e) => console.error("❌ Phrase cache warm-up failed:", e?.message || e));
+});
+const wss = new WebSocketServer({ noServer: true });
+
+server.on("upgrade", (req, socket, head) => {
+  if (VALIDATE_TWILIO_SIGNATURES) {
+    const url = `${getPublicBaseUrl(req).replace(/^http/, "ws")}${req.url}`;
+    const check = verifyTwilioSignature(req, url);
+    if (!check.ok) {
+      console.warn("🚫 Rejected media stream upgrade", { reason: check.reason, ip: socket.remoteAddress });
+      socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+});
+
+// A connection that never sends a valid "start" gets dropped
+const STREAM_START_TIMEOUT_MS = 10000;
+
+// Silence after the bot finishes speaking before it asks again; after NO_INPUT_MAX_REPROMPTS
+// unanswered reprompts it says goodbye and hangs up (outcome "no_input")
+const NO_INPUT_TIMEOUT_MS = Number(process.env.NO_INPUT_TIMEOUT_MS || 8000);
+const NO_INPUT_MAX_REPROMPTS = Number(process.env.NO_INPUT_MAX_REPROMPTS || 2);
+
+// "Got it. Are you hearing…" — a leading acknowledgement doesn't bear repeating
+function withoutAcknowledgement(text = "") {
+  const [first, ...rest] = String(text).split(/(?<=[.!])\s+/);
+  return rest.length && first.length <= 15 ? rest.join(" ") : text;
 }
 
-async function createLeadFromCall({ callerPhone, state }) {
-  try {
-    const payload = {
-      service_type: serviceTypeFromCategory(state.issueCategory),
-      zip_code: state.zip,
-      car_make_model: state.carMakeModel || "Unknown",
-      car_year: state.carYear || null,
-      description: state.issueText || "",
-      name: state.name || null,
-      phone: state.phone || callerPhone || null,
-      email: "",
-      lead_source: "voice",
-      status: "new",
-      lead_category: "repair",
-      drivable: state.drivable || null,
-      urgency_window: state.urgency_window || null,
-    };
+// STT stream dropped mid-call: reopen with exponential backoff, holding the caller's audio
+// (up to STT_BACKLOG_MAX_MS of it) so nothing said during the gap is lost
+const STT_RECONNECT_ATTEMPTS = 5;
+const STT_RECONNECT_BASE_MS = 250;
+const STT_RECONNECT_MAX_MS = 4000;
+const STT_BACKLOG_MAX_MS = 10000;
+
+// Hard cap on a call's length (outcome "max_duration"); 0 turns it off
+const MAX_CALL_DURATION_MS = Number(process.env.MAX_CALL_DURATION_MS ?? 15 * 60 * 1000);
+
+// Keypad answers: digits for the ZIP/phone steps end with "#" ("*" starts over, or they're
+// submitted once the caller stops typing); 1/2 answer yes/no questions; 0 asks for a person.
+// While typing a ZIP or phone number 0 is also a digit — every Massachusetts ZIP starts with
+// one — so there it means the operator only when it's the whole entry ("0#", or 0 and a pause).
+const KEYPAD_ENTRY_TIMEOUT_MS = 5000;
+const KEYPAD_YES = "1";
+const KEYPAD_NO = "2";
+const KEYPAD_OPERATOR = "0";
+
+wss.on("connection", (ws) => {
+  console.log("🔗 Voice Connected");
+  metrics.wsSessions.inc();
+  
+  let streamSid = null;
+  let sttSession = null;
+  // Model/language the current STT session was opened with, for reconnects
+  let sttSettings = DETECT_STT;
+  let sttStopped = false;
+  let sttReconnectAttempts = 0;
+  let sttReconnectTimer = null;
+  // Caller audio that arrived while no STT session was open; replayed once one opens
+  let sttBacklog = [];
+  let sttBacklogBytes = 0;
+  let greeted = false;
+  let transferred = false;
+  let callerPhone = "unknown";
+  let callSid = "";
+  let verified = false;
+  
+  const startTimer = setTimeout(() => {
+    if (verified) return;
+    console.warn("🚫 Closing media stream: no valid start event received");
+    try { ws.close(); } catch {}
+  }, STREAM_START_TIMEOUT_MS);
+  
+  let synthesizing = false;
+  let utteranceSeq = 0;
+  let interruptedUtterance = 0;
+  let speakingInterruptible = true;
+  let processing = false;
+  let pendingFinal = null;
+  let lastFinalAt = 0;
+  let lastBotQuestionAt = 0;
+  // Language STT heard on the first final transcript (multilingual detection model)
+  let detectedLanguage = "";
+  // When the final transcript we're answering arrived; cleared once the reply starts playing
+  let respondingToFinalAt = 0;
+  // What a no-input reprompt repeats, and how many reprompts in a row went unanswered
+  let lastPrompt = "";
+  let silentReprompts = 0;
+  let noInputTimer = null;
+  let maxDurationTimer = null;
+  // The silence clock only runs once the caller has heard the greeting
+  let greetingPlayed = false;
+  // Digits typed on the keypad that haven't been submitted yet
+  let keypadDigits = "";
+  let keypadTimer = null;
+  
+  // Marks we've sent to Twilio that haven't come back yet (name -> backstop timer)
+  const pendingMarks = new Map();
+  let playbackWaiters = [];
+  
+  const state = createIntakeState();
+  const record = createTranscriptRecorder({ getCallSid: () => callSid, channel: "voice" });
+  
+  const openStt = (stt) => {
+    clearTimeout(sttReconnectTimer);
+    sttSettings = stt;
+    const session = sttProvider.openSession({
+      stt,
+      callSid,
+      onOpen: () => {
+        if (session !== sttSession) return;
+        console.log(`🟢 ${STT_PROVIDER} STT listening (${stt.model}, ${stt.language})`);
+        if (sttReconnectAttempts) {
+          console.log(`🔌 STT back after ${sttReconnectAttempts} reconnect attempt(s)`);
+          metrics.sttReconnects.inc({ result: "ok" });
+          sttReconnectAttempts = 0;
+          // The silence clock was stopped while we couldn't hear them
+          armNoInputTimer();
+        }
+        flushSttBacklog();
+      },
+      // Ignore anything still arriving from a session we've replaced
+      onTranscript: (result) => {
+        if (transferred || session !== sttSession) return;
+        handleTranscript(result);
+      },
+      onError: (err) => {
+        metrics.deepgramErrors.inc();
+        console.error("DG Error:", err?.message || err);
+      },
+      onClose: (code) => {
+        if (session !== sttSession || sttStopped || callIsOver()) return;
+        console.warn(`⚠️ STT stream closed mid-call (code ${code})`);
+        scheduleSttReconnect();
+      },
+    });
+    sttSession = session;
+  };
+  
+  function scheduleSttReconnect() {
+    // Don't reprompt a caller we can't hear
+    clearTimeout(noInputTimer);
+    if (sttReconnectAttempts >= STT_RECONNECT_ATTEMPTS) {
+      onSttLost().catch((e) => console.error("❌ STT-lost handoff failed:", e?.message || e));
+      return;
+    }
+    
+    const delay = Math.min(STT_RECONNECT_BASE_MS * 2 ** sttReconnectAttempts, STT_RECONNECT_MAX_MS);
+    sttReconnectAttempts += 1;
+    sttReconnectTimer = setTimeout(() => {
+      if (sttStopped || callIsOver()) return;
+      console.log(`🔄 STT reconnect attempt ${sttReconnectAttempts}/${STT_RECONNECT_ATTEMPTS}`);
+      openStt(sttSettings);
+    }, delay);
+  }
+  
+  function bufferSttAudio(audio) {
+    sttBacklog.push(audio);
+    sttBacklogBytes += audio.length;
+    while (sttBacklogBytes > STT_BACKLOG_MAX_MS * MULAW_BYTES_PER_MS) {
+      sttBacklogBytes -= sttBacklog.shift().length;
+    }
+  }
+  
+  function flushSttBacklog() {
+    const backlog = sttBacklog;
+    sttBacklog = [];
+    sttBacklogBytes = 0;
+    backlog.forEach((audio) => sttSession.send(audio));
+  }
+  
+  // For good: the call is ending or moving off the media stream
+  function stopStt() {
+    sttStopped = true;
+    clearTimeout(sttReconnectTimer);
+    sttBacklog = [];
+    sttBacklogBytes = 0;
+    sttSession?.close();
+  }
+  
+  // STT couldn't be brought back, so we can't hear the caller — hand them to a person
+  async function onSttLost() {
+    console.error(`❌ STT still down after ${STT_RECONNECT_ATTEMPTS} reconnect attempts — transferring`);
+    metrics.sttReconnects.inc({ result: "gave_up" });
+    stopStt();
+    state.endNotes = `Speech recognition lost mid-call (step: ${state.currentStep}) — transferred`;
+    await transferToHuman({ sttLost: true });
+  }
+  
+  async function transferToHuman({ sttLost = false } = {}) {
+    transferred = true;
+    clearTimeout(noInputTimer);
+    const availability = operatorAvailability();
+    const lang = state.language;
+    bargeIn("transfer");
+    await say(
+      availability.open
+        ? promptText(lang, sttLost ? "sttLostTransfer" : "transferNow")
+        : `${sttLost ? `${promptText(lang, "sttLost")} ` : ""}${promptText(lang, "transferClosed", { nextOpen: describeNextOpen(availability.next, lang) })}`,
+      { interruptible: false, repeatable: false }
+    );
+    await waitForPlayback();
+    await transferCallToHuman(callSid, lang);
+    stopStt();
+    try { ws.close(); } catch {}
+  }
+  
+  async function handleTranscript({ transcript, isFinal, languages }) {
+    // Any speech restarts the silence clock; a final stops it until we've replied
+    armNoInputTimer();
     
-    const { data, error } = await supabase.from("leads").insert(payload).select("id, lead_code").maybeSingle();
+    if (!isFinal) {
+      if (botIsSpeaking() && speakingInterruptible && isBargeInSpeech(transcript)) {
+        bargeIn("interim");
+      }
+      return;
+    }
     
-    if (error) {
-      console.error("❌ Lead insert failed:", error.message);
-      return { ok: false, error: error.message };
+    const text = transcript.trim();
+    if (!text) return;
+    
+    if (!state.languageLocked && !detectedLanguage) {
+      const hint = String(languages?.[0] || "").slice(0, 2);
+      if (LANGUAGES[hint]) detectedLanguage = hint;
+    }
+    
+    const now = Date.now();
+    lastFinalAt = now;
+    pendingFinal = text;
+    silentReprompts = 0;
+    clearTimeout(noInputTimer);
+    
+    if (botIsSpeaking()) {
+      if (!speakingInterruptible) return;
+      bargeIn("final");
+    }
+    
+    if (processing) return;
+    
+    const timeSinceBotQuestion = now - lastBotQuestionAt;
+    if (timeSinceBotQuestion < 800) {
+      setTimeout(() => {
+        if (!processing && !transferred && pendingFinal) {
+          drainPendingFinal();
+        }
+      }, 800 - timeSinceBotQuestion);
+      return;
+    }
+    
+    await drainPendingFinal();
+  }
+  
+  // Locks the call to one language and reopens STT with that language's model
+  function setCallLanguage(lang, source) {
+    let next = languageOf(lang);
+    if (!hasVoice(next)) {
+      console.log(`🌐 Caller sounds ${LANGUAGES[next].name}, but there's no voice for it — staying in English`);
+      next = "en";
+    }
+    const changed = next !== state.language || !state.languageLocked;
+    state.language = next;
+    state.languageSource = source;
+    state.languageLocked = true;
+    if (!changed) return;
+    
+    console.log(`🌐 Call language: ${LANGUAGES[next].name} (${source})`);
+    const previous = sttSession;
+    openStt(LANGUAGES[next].stt);
+    previous?.close();
+  }
+  
+  function botIsSpeaking() {
+    return synthesizing || pendingMarks.size > 0;
+  }
+  
+  function onPlaybackDone() {
+    lastBotQuestionAt = Date.now();
+    const waiters = playbackWaiters;
+    playbackWaiters = [];
+    waiters.forEach((resolve) => resolve());
+    
+    // Anything the caller said during non-interruptible speech was held until now
+    if (pendingFinal && !processing && !transferred) {
+      setTimeout(() => {
+        if (!processing && !botIsSpeaking()) drainPendingFinal();
+      }, 800);
+    }
+    armNoInputTimer();
+  }
+  
+  // What a keypress means right now: "yes_no" for confirmations, "digits" while we want a
+  // ZIP or phone number, "" otherwise
+  function keypadMode() {
+    if (state.awaitingConfirmation || state.confirmingKnown || state.pendingZip) return "yes_no";
+    if (!state.awaitingCorrectionChoice && (state.currentStep === "zip" || state.currentStep === "phone")) return "digits";
+    return "";
+  }
+  
+  async function handleKeypad(digit) {
+    // Keypad language choice, only before the intake has started
+    const lang = LANGUAGE_KEYPAD[digit];
+    if (lang && hasVoice(lang) && !state.issueText && state.languageSource !== "keypad") {
+      bargeIn("keypad");
+      setCallLanguage(lang, "keypad");
+      record("caller_keypad", digit, { currentStep: state.currentStep });
+      await say(state.known?.name
+        ? promptText(lang, "voiceWelcomeBack", { name: state.known.name })
+        : promptText(lang, "voiceGreeting"));
+      return;
     }
     
-    console.log("✅ Lead created:", data);
-    
-    const isHighPriority = isHighPriorityLead(state.urgency_window, state.drivable);
+    const mode = keypadMode();
+    if (mode === "digits") {
+      if (digit === "#") return submitKeypadDigits();
+      if (digit === "*") {
+        keypadDigits = "";
+        return;
+      }
+      if (!/^\d$/.test(digit)) return;
+      bargeIn("keypad");
+      keypadDigits += digit;
+      clearTimeout(keypadTimer);
+      keypadTimer = setTimeout(submitKeypadDigits, KEYPAD_ENTRY_TIMEOUT_MS);
+      return;
+    }
     
-    if (isHighPriority) {
-      console.log("📤 Dispatching HIGH PRIORITY lead to mechanics via send-lead");
-      // TODO: Call your send-lead edge function
-      // await fetch(`${SUPABASE_URL}/functions/v1/send-lead`, { ... });
-    } else {
-      console.log("📤 Dispatching MAINTENANCE lead to mechanics via send-maintenance-lead");
-      // TODO: Call your send-maintenance-lead edge function
-      // await fetch(`${SUPABASE_URL}/functions/v1/send-maintenance-lead`, { ... });
+    if (digit === KEYPAD_OPERATOR) {
+      await requestOperator(digit);
+      return;
     }
     
-    return { ok: true, lead: data };
-  } catch (e) {
-    console.error("❌ Lead insert exception:", e);
-    return { ok: false, error: e?.message || "unknown" };
+    if (mode === "yes_no" && (digit === KEYPAD_YES || digit === KEYPAD_NO)) {
+      // English yes/no is understood whatever language the call is in
+      submitKeypadAnswer(digit === KEYPAD_YES ? "yes" : "no", digit);
+    }
   }
-}
-
-//────────────────────────────────────────────────────────────────────────────────
-// 5) WEBSOCKET SERVER FOR TWILIO MEDIA STREAMS
-//────────────────────────────────────────────────────────────────────────────────
-
-const server = app.listen(PORT, () => console.log(`✅ MassMechanic Running on ${PORT}`));
-const wss = new WebSocketServer({ noServer: true });
-
-server.on("upgrade", (req, socket, head) => {
-  wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
-});
-
-wss.on("connection", (ws) => {
-  console.log("🔗 Voice Connected");
   
-  let streamSid = null;
-  let deepgramLive = null;
-  let greeted = false;
-  let transferred = false;
-  let callerPhone = "unknown";
-  let callSid = "";
+  function submitKeypadDigits() {
+    clearTimeout(keypadTimer);
+    keypadTimer = null;
+    const digits = keypadDigits;
+    keypadDigits = "";
+    // Typed for a step the caller has since answered out loud
+    if (!digits || callIsOver() || keypadMode() !== "digits") return;
+    if (digits === KEYPAD_OPERATOR) return requestOperator(`${digits}#`);
+    submitKeypadAnswer(digits, `${digits}#`);
+  }
   
-  let isSpeaking = false;
-  let speakUntilTs = 0;
-  let processing = false;
-  let pendingFinal = null;
-  let lastFinalAt = 0;
-  let lastBotQuestionAt = 0;
+  async function requestOperator(keys) {
+    console.log(`🔢 Keypad ${keys} — caller asked for a person`);
+    record("caller_keypad", keys, { currentStep: state.currentStep });
+    await transferToHuman().catch((e) => console.error("❌ Keypad transfer failed:", e?.message || e));
+  }
   
-  const state = {
-    name: "",
-    zip: "",
-    phone: "",
-    issueText: "",
-    issueCategory: "general",
-    askedFollowup: false,
-    awaitingFollowupResponse: false,
-    awaitingConfirmation: false,
-    awaitingCorrectionChoice: false,
-    correctingField: null,
-    confirmed: false,
-    carMakeModel: "",
-    carYear: "",
-    drivable: "",
-    urgency_window: "",
-    leadCreated: false,
-    currentStep: "issue",
-  };
+  // Keypad answers go through the intake exactly like a final transcript, so they get the
+  // same validation (service area, 10-digit phone, …) as spoken ones
+  function submitKeypadAnswer(text, keys) {
+    console.log(`🔢 Keypad: ${keys}`);
+    record("caller_keypad", keys, { currentStep: state.currentStep });
+    bargeIn("keypad");
+    lastFinalAt = Date.now();
+    pendingFinal = text;
+    if (!processing) drainPendingFinal();
+  }
   
-  const messages = [
-    {
-      role: "system",
-      content:
-        "You are the MassMechanic phone agent. Keep replies SHORT (1 sentence). Ask ONE question at a time. " +
-        "Goal: collect (1) what's wrong, (2) car make/model/year, (3) first name, (4) ZIP code, (5) phone number, (6) urgency, (7) drivability. " +
-        "Do NOT ask for last name. Do NOT end the call until you confirm the details.",
-    },
-  ];
+  function callIsOver() {
+    return transferred || state.confirmed || Boolean(state.endOutcome) || ws.readyState !== WebSocket.OPEN;
+  }
   
-  const setupDeepgram = () => {
-    deepgramLive = new WebSocket(
-      "wss://api.deepgram.com/v1/listen?encoding=mulaw&sample_rate=8000&model=nova-2&smart_format=true",
-      { headers: { Authorization: `Token ${DEEPGRAM_API_KEY}` } }
-    );
+  // (Re)starts the silence clock, but only while we're actually waiting on the caller
+  function armNoInputTimer() {
+    clearTimeout(noInputTimer);
+    noInputTimer = null;
+    if (!NO_INPUT_TIMEOUT_MS || !greetingPlayed || callIsOver() || processing || pendingFinal || keypadDigits || botIsSpeaking() || !sttSession?.isOpen()) return;
+    noInputTimer = setTimeout(onNoInput, NO_INPUT_TIMEOUT_MS);
+  }
+  
+  async function onNoInput() {
+    noInputTimer = null;
+    if (callIsOver() || processing || pendingFinal || keypadDigits || botIsSpeaking() || !sttSession?.isOpen()) return;
     
-    deepgramLive.on("open", () => console.log("🟢 Deepgram Listening"));
+    if (silentReprompts >= NO_INPUT_MAX_REPROMPTS) {
+      console.log(`🔇 No input after ${silentReprompts} reprompts — hanging up`);
+      await endCall({
+        outcome: "no_input",
+        notes: `Caller silent after ${silentReprompts} reprompts (step: ${state.currentStep})`,
+        goodbye: promptText(state.language, "noInputGoodbye"),
+      });
+      return;
+    }
     
-    deepgramLive.on("message", async (data) => {
-      if (transferred) return;
-      
-      let received;
-      try {
-        received = JSON.parse(data);
-      } catch {
-        return;
-      }
-      
-      const transcript = received.channel?.alternatives?.[0]?.transcript;
-      if (!transcript) return;
-      
-      if (!received.is_final) return;
-      
-      const text = transcript.trim();
-      if (!text) return;
-      
-      const now = Date.now();
-      lastFinalAt = now;
-      pendingFinal = text;
-      
-      if (processing) return;
-      if (isSpeaking && now < speakUntilTs) return;
-      
-      const timeSinceBotQuestion = now - lastBotQuestionAt;
-      if (timeSinceBotQuestion < 800) {
-        setTimeout(() => {
-          if (!processing && !transferred && pendingFinal) {
-            drainPendingFinal();
-          }
-        }, 800 - timeSinceBotQuestion);
-        return;
-      }
-      
-      await drainPendingFinal();
-    });
+    silentReprompts += 1;
+    // Before the caller has said anything, the greeting's open question is the one to repeat
+    const question = state.issueText ? withoutAcknowledgement(lastPrompt) : promptText(state.language, "askIssue");
+    const lead = promptText(state.language, silentReprompts === 1 ? "noInput" : "stillThere");
+    console.log(`🔇 No input (${silentReprompts}/${NO_INPUT_MAX_REPROMPTS}) at step ${state.currentStep}`);
+    record("no_input", null, { currentStep: state.currentStep, data: { reprompt: silentReprompts } });
+    await say(`${lead} ${question}`.trim(), { repeatable: false });
+  }
+  
+  // Ends the call on our side: records why, says goodbye over anything still playing, hangs up
+  async function endCall({ outcome, notes, goodbye }) {
+    state.endOutcome = outcome;
+    state.endNotes = notes;
+    clearTimeout(noInputTimer);
+    clearTimeout(maxDurationTimer);
     
-    deepgramLive.on("error", (err) => console.error("DG Error:", err));
-  };
+    bargeIn(outcome);
+    await say(goodbye, { interruptible: false, repeatable: false });
+    await waitForPlayback();
+    await hangupCall(callSid);
+    stopStt();
+    try { ws.close(); } catch {}
+  }
   
-  setupDeepgram();
-  
-  function readyToConfirm() {
-    return Boolean(
-      state.issueText && 
-      state.carMakeModel && 
-      state.name && 
-      state.zip && 
-      state.phone && 
-      state.urgency_window && 
-      state.drivable
-    );
+  function trackMark(name, audioMs) {
+    const timer = setTimeout(() => {
+      console.warn(`⚠️ Mark ${name} never came back — assuming playback finished`);
+      settleMark(name);
+    }, audioMs + MARK_GRACE_MS);
+    pendingMarks.set(name, timer);
+  }
+  
+  function settleMark(name) {
+    const timer = pendingMarks.get(name);
+    if (timer === undefined) return;
+    clearTimeout(timer);
+    pendingMarks.delete(name);
+    if (!botIsSpeaking()) onPlaybackDone();
+  }
+  
+  function settleAllMarks() {
+    for (const name of [...pendingMarks.keys()]) settleMark(name);
+  }
+  
+  function waitForPlayback() {
+    if (!botIsSpeaking()) return Promise.resolve();
+    return new Promise((resolve) => playbackWaiters.push(resolve));
+  }
+  
+  // Cut the bot off mid-utterance: Twilio "clear" flushes any audio it hasn't played yet
+  function bargeIn(reason) {
+    if (!botIsSpeaking()) return;
+    console.log(`✋ Barge-in (${reason}) — clearing bot audio`);
+    
+    interruptedUtterance = utteranceSeq;
+    
+    if (ws.readyState === WebSocket.OPEN && streamSid) {
+      ws.send(JSON.stringify({ event: "clear", streamSid }));
+    }
+    // Twilio echoes cleared marks back too, but don't make turn-taking wait on that
+    settleAllMarks();
   }
   
-  async function say(text) {
+  // repeatable: false keeps the line out of no-input reprompts (keypad offers, the reprompts themselves)
+  async function say(text, { interruptible = true, lang, repeatable = true } = {}) {
     if (!ws || ws.readyState !== WebSocket.OPEN || !streamSid) return;
     
     console.log(`🤖 Bot: ${text}`);
+    record("bot", text, { currentStep: state.currentStep });
+    clearTimeout(noInputTimer);
+    if (repeatable) lastPrompt = text;
     
-    isSpeaking = true;
-    const ms = estimateSpeakMs(text);
-    speakUntilTs = Date.now() + ms;
-    lastBotQuestionAt = Date.now();
+    const utteranceId = ++utteranceSeq;
+    const markName = `utt-${utteranceId}`;
+    synthesizing = true;
+    speakingInterruptible = interruptible;
     
-    const ok = await speakOverStream({ ws, streamSid, text, deepgramKey: DEEPGRAM_API_KEY });
+    let result;
+    try {
+      result = await speakOverStream({
+        ws,
+        streamSid,
+        text,
+        lang: languageOf(lang || state.language),
+        markName,
+        shouldPlay: () => utteranceId > interruptedUtterance,
+        onAudioStart: () => {
+          if (!respondingToFinalAt) return;
+          metrics.responseLatency.observe((Date.now() - respondingToFinalAt) / 1000);
+          respondingToFinalAt = 0;
+        },
+      });
+    } finally {
+      synthesizing = false;
+    }
     
-    if (!ok) {
-      speakUntilTs = Date.now() + 500;
-      console.error("❌ TTS completely failed after retries");
+    if (!result.ok) {
+      console.error("❌ TTS failed after retries — some or all of the reply was not spoken");
     }
     
-    setTimeout(() => {
-      isSpeaking = false;
-    }, ms + 500);
+    if (result.played) {
+      trackMark(markName, result.audioMs);
+    } else if (!botIsSpeaking()) {
+      onPlaybackDone();
+    }
   }
   
   async function drainPendingFinal() {
-    if (!pendingFinal) return;
+    if (!pendingFinal || transferred || state.confirmed || state.endOutcome) return;
     processing = true;
     
     try {
       const text = pendingFinal;
       pendingFinal = null;
+      respondingToFinalAt = lastFinalAt;
       
       console.log(`🗣 User: ${text}`);
       
-      if (wantsHumanFromText(text)) {
-        transferred = true;
-        await upsertCallOutcome({
-          callSid,
-          patch: {
-            caller_phone: callerPhone,
-            name: state.name || null,
-            zip_code: state.zip || null,
-            issue_text: state.issueText || null,
-            issue_category: state.issueCategory || null,
-            confirmed: false,
-            outcome: "transfer_requested",
-            notes: "User requested a human",
-            source: "voice",
-          },
-        });
-        await say("Got it — connecting you to an operator now.");
-        await transferCallToHuman(callSid);
-        try { if (deepgramLive) deepgramLive.close(); } catch {}
-        try { ws.close(); } catch {}
-        return;
-      }
-      
-      if (state.awaitingCorrectionChoice) {
-        const lower = text.toLowerCase();
-        
-        if (/(zip|zip code|zipcode)/i.test(lower)) {
-          state.correctingField = "zip";
-          state.zip = "";
-          state.currentStep = "zip";
-          state.awaitingCorrectionChoice = false;
-          await say("Okay, what's your 5-digit ZIP code?");
-          return;
-        }
-        
-        if (/(name|first name)/i.test(lower)) {
-          state.correctingField = "name";
-          state.name = "";
-          state.currentStep = "name";
-          state.awaitingCorrectionChoice = false;
-          await say("Okay, what's your first name?");
-          return;
-        }
-        
-        if (/(car|vehicle|make|model)/i.test(lower)) {
-          state.correctingField = "car";
-          state.carMakeModel = "";
-          state.carYear = "";
-          state.currentStep = "car";
-          state.awaitingCorrectionChoice = false;
-          await say("Okay, what's the make and model of your car?");
-          return;
-        }
-        
-        if (/(issue|problem|wrong)/i.test(lower)) {
-          state.correctingField = "issue";
-          state.issueText = "";
-          state.currentStep = "issue";
-          state.awaitingCorrectionChoice = false;
-          await say("Okay, tell me what's wrong with your car.");
-          return;
-        }
-        
-        if (/(phone|number|telephone)/i.test(lower)) {
-          state.correctingField = "phone";
-          state.phone = "";
-          state.currentStep = "phone";
-          state.awaitingCorrectionChoice = false;
-          await say("Okay, what's your 10-digit phone number? Say the digits slowly, three at a time.");
-          return;
-        }
-        
-        if (/(urgency|when|time)/i.test(lower)) {
-          state.correctingField = "urgency";
-          state.urgency_window = "";
-          state.currentStep = "urgency";
-          state.awaitingCorrectionChoice = false;
-          await say("Okay, when do you need the repair done?");
-          return;
-        }
-        
-        if (/(drivable|drive|driving)/i.test(lower)) {
-          state.correctingField = "drivable";
-          state.drivable = "";
-          state.currentStep = "drivable";
-          state.awaitingCorrectionChoice = false;
-          await say("Okay, can you drive the car, or does it need to be towed?");
-          return;
-        }
-        
-        await say("Sorry, I didn't catch that. What would you like to correct?");
-        return;
-      }
-      
-      if (state.awaitingFollowupResponse) {
-        if (text.length > 3) {
-          state.issueText = `${state.issueText}. ${text}`;
-          state.awaitingFollowupResponse = false;
-          state.currentStep = "car";
-          console.log(`✅ Added followup details: ${text}`);
-        }
-      }
-      
-      if (state.currentStep === "zip" && !state.zip) {
-        const z = extractZip(text);
-        if (z) {
-          state.zip = z;
-          state.correctingField = null;
-          console.log(`✅ Extracted ZIP: ${z}`);
-        }
-      }
-      
-      if (state.currentStep === "phone" && !state.phone) {
-        const p = extractPhone(text);
-        if (p) {
-          state.phone = p;
-          state.correctingField = null;
-          console.log(`✅ Extracted phone: ${p}`);
-        }
-      }
-      
-      if (state.currentStep === "name" && !state.name) {
-        const n = extractName(text);
-        if (n) {
-          state.name = n;
-          state.correctingField = null;
-          console.log(`✅ Extracted name: ${n}`);
-        }
-      }
-      
-      if (state.currentStep === "car") {
-        if (!state.carYear) {
-          const y = extractCarYear(text);
-          if (y) {
-            state.carYear = y;
-            console.log(`✅ Extracted year: ${y}`);
-          }
-        }
-        
-        if (!state.carMakeModel) {
-          const mm = extractCarMakeModel(text);
-          if (mm) {
-            state.carMakeModel = mm;
-            state.correctingField = null;
-            console.log(`✅ Extracted car: ${mm}`);
-          }
-        }
-      }
-      
-      if (state.currentStep === "issue" && !state.issueText) {
-        const z = extractZip(text);
-        const n = extractName(text);
-        
-        if (!z && !n && text.length > 6) {
-          state.issueText = text;
-          state.issueCategory = categorizeIssue(text);
-          state.correctingField = null;
-          console.log(`✅ Captured issue: ${text} (category: ${state.issueCategory})`);
-        }
-      }
-      
-      if (state.currentStep === "urgency" && !state.urgency_window) {
-        state.urgency_window = text;
-        state.correctingField = null;
-        console.log(`✅ Captured urgency: ${text}`);
-      }
-      
-      if (state.currentStep === "drivable" && !state.drivable) {
-        state.drivable = text;
-        state.correctingField = null;
-        console.log(`✅ Captured drivability: ${text}`);
+      // First thing the caller says decides the language unless they used the keypad
+      if (!state.languageLocked) {
+        setCallLanguage(detectedLanguage || detectLanguage(text) || "en", "detected");
       }
       
-      if (state.awaitingConfirmation && !state.confirmed) {
-        if (looksLikeYes(text)) {
-          state.confirmed = true;
-          state.awaitingConfirmation = false;
-          
-          await upsertCallOutcome({
-            callSid,
-            patch: {
-              caller_phone: state.phone || callerPhone,
-              name: state.name || null,
-              zip_code: state.zip || null,
-              issue_text: state.issueText || null,
-              issue_category: state.issueCategory || null,
-              confirmed: true,
-              outcome: "confirmed",
-              notes: "Confirmed details on call",
-              source: "voice",
-            },
-          });
-          
-          if (!state.leadCreated) {
-            const leadRes = await createLeadFromCall({ callerPhone, state });
-            if (leadRes.ok) {
-              state.leadCreated = true;
-              console.log("✅ Lead created from voice:", leadRes.lead);
-            }
-          }
-          
-          // UPDATED: Better goodbye message with more time before hangup
-          const zipSpoken = speakZipDigits(state.zip);
-          await say(
-            `Perfect — thanks, ${state.name}. We'll connect you with a trusted local mechanic near ZIP ${zipSpoken}. A mechanic will contact you shortly. Thanks for calling Mass Mechanic. Goodbye!`
-          );
-          
-          // UPDATED: Wait 4 seconds instead of 2 to let full message play
-          setTimeout(async () => {
+      await runIntakeTurn(
+        {
+          channel: "voice",
+          callSid,
+          callerPhone,
+          state,
+          say,
+          record,
+          onHumanRequested: () => transferToHuman(),
+          endConversation: async (goodbye) => {
+            clearTimeout(maxDurationTimer);
+            await say(goodbye, { interruptible: false });
+            await waitForPlayback();
+            await hangupCall(callSid);
+            stopStt();
+            try { ws.close(); } catch {}
+          },
+          onConfirmed: async () => {
+            // Only mention the confirmation text if Twilio actually took it
+            const zipSpoken = speakZipDigits(state.zip, state.language);
+            await say(promptText(state.language, "voiceGoodbye", {
+              name: state.name,
+              zip: zipSpoken,
+              texted: state.confirmationSms === "sent",
+            }), { interruptible: false });
+            
+            // Hang up only once Twilio reports the goodbye has finished playing
+            await waitForPlayback();
             console.log("📞 Initiating call hangup after confirmation");
             await hangupCall(callSid);
-            try { if (deepgramLive) deepgramLive.close(); } catch {}
+            stopStt();
             try { ws.close(); } catch {}
-          }, 4000);
-          
-          return;
-        }
-        
-        if (looksLikeNo(text)) {
-          state.awaitingConfirmation = false;
-          state.awaitingCorrectionChoice = true;
-          await say("No problem — what should I correct?");
-          return;
-        }
-        
-        await say("Sorry, I didn't catch that. Is that information correct?");
-        return;
-      }
-      
-      if (!state.issueText) {
-        state.currentStep = "issue";
-        await say("Tell me what's wrong with your car.");
-        return;
-      }
-      
-      if (state.issueText && !state.askedFollowup) {
-        state.askedFollowup = true;
-        state.awaitingFollowupResponse = true;
-        state.currentStep = "followup";
-        const followup = FOLLOWUP_BY_CATEGORY[state.issueCategory] || FOLLOWUP_BY_CATEGORY.general;
-        await say(followup);
-        return;
-      }
-      
-      if (!state.carMakeModel) {
-        state.currentStep = "car";
-        await say("What's the make and model of your car?");
-        return;
-      }
-      
-      if (!state.name) {
-        state.currentStep = "name";
-        await say("And what's your first name?");
-        return;
-      }
-      
-      if (!state.zip) {
-        state.currentStep = "zip";
-        await say("What's your 5-digit ZIP code?");
-        return;
-      }
-      
-      if (!state.phone) {
-        state.currentStep = "phone";
-        await say("And what's your 10-digit phone number? Say the digits slowly, three at a time.");
-        return;
-      }
-      
-      if (!state.urgency_window) {
-        state.currentStep = "urgency";
-        await say("When do you need the repair done — today, within a few days, or next week?");
-        return;
-      }
-      
-      if (!state.drivable) {
-        state.currentStep = "drivable";
-        await say("Can you drive the car to a shop, or does it need to be towed?");
-        return;
-      }
-      
-      if (readyToConfirm() && !state.confirmed && !state.awaitingConfirmation) {
-        state.awaitingConfirmation = true;
-        state.currentStep = "confirm";
-        const zipSpoken = speakZipDigits(state.zip);
-        const phoneSpoken = speakPhoneDigits(state.phone);
-        const carSpoken = `${state.carYear ? state.carYear + " " : ""}${state.carMakeModel}`.trim();
-        await say(
-          `To confirm: you're ${state.name} in ZIP ${zipSpoken}, phone ${phoneSpoken}, the car is a ${carSpoken}, and the issue is "${state.issueText}". Is that right?`
-        );
-        return;
-      }
-      
-      messages.push({ role: "user", content: text });
-      
-      const gpt = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: "gpt-4o",
-          messages: [
-            ...messages,
-            {
-              role: "system",
-              content:
-                `State: name="${state.name}", zip="${state.zip}", phone="${state.phone}", car="${state.carYear} ${state.carMakeModel}", ` +
-                `issue="${state.issueText}", urgency="${state.urgency_window}", drivable="${state.drivable}". ` +
-                `Ask ONE short question that collects missing info or confirms details. Do not ask last name.`,
-            },
-          ],
-          max_tokens: 90,
-        }),
-      });
-      
-      const gptJson = await gpt.json();
-      const aiText = gptJson?.choices?.[0]?.message?.content?.trim();
-      
-      if (!aiText) {
-        await say("I'm having a quick technical issue. Please text us your ZIP and what's going on, and we'll follow up right away.");
-        return;
-      }
-      
-      messages.push({ role: "assistant", content: aiText });
-      await say(aiText);
+          },
+        },
+        text
+      );
       
     } catch (e) {
       console.error("❌ Processing Error:", e);
       try {
-        await say("Sorry — I had a quick technical glitch. Please text us your ZIP and car issue, and we'll follow up right away.");
+        await say(promptText(state.language, "glitch", { isVoice: true }));
       } catch {}
     } finally {
       processing = false;
       
       if (pendingFinal && !transferred) {
         setTimeout(() => {
-          if (!processing && !(isSpeaking && Date.now() < speakUntilTs)) {
+          if (!processing && !botIsSpeaking()) {
             drainPendingFinal();
           }
         }, 400);
       }
+      // A turn that ended without the bot saying anything still leaves us waiting on the caller
+      armNoInputTimer();
     }
   }
   
+  // Caller said "yes" and hung up before we got to it — still create the lead and text them
+  async function flushPendingConfirmation() {
+    if (!state.awaitingConfirmation || state.confirmed || processing || !pendingFinal) return;
+    if (!looksLikeYes(pendingFinal, state.language)) return;
+    console.log("📴 Call ended with an unprocessed confirmation — finishing it");
+    await drainPendingFinal();
+  }
+  
   ws.on("message", async (msg) => {
     let data;
     try {
@@ -991,9 +5147,24 @@ wss.on("connection", (ws) => {
       return;
     }
     
+    if (!verified && data.event !== "start") return;
+    
     if (data.event === "start") {
-      streamSid = data.start.streamSid;
+      if (verified) return;
       const params = data.start?.customParameters || {};
+      const startCallSid = params.callSid || data.start?.callSid || "";
+      
+      const tokenCheck = verifyStreamToken(params.token, startCallSid);
+      if (!tokenCheck.ok) {
+        console.warn("🚫 Rejected media stream", { reason: tokenCheck.reason, callSid: startCallSid });
+        try { ws.close(); } catch {}
+        return;
+      }
+      verified = true;
+      clearTimeout(startTimer);
+      metrics.activeCalls.inc();
+      
+      streamSid = data.start.streamSid;
       const pFrom = normalizePhone(params.from || "");
       const pCaller = normalizePhone(params.caller || "");
       callerPhone = pFrom || pCaller || "unknown";
@@ -1001,6 +5172,22 @@ wss.on("connection", (ws) => {
       
       console.log("☎️ Stream start", { streamSid, callSid, callerPhone });
       
+      if (MAX_CALL_DURATION_MS > 0) {
+        maxDurationTimer = setTimeout(() => {
+          if (callIsOver()) return;
+          console.log(`⏱️ Call hit the ${Math.round(MAX_CALL_DURATION_MS / 1000)}s limit — hanging up`);
+          endCall({
+            outcome: "max_duration",
+            notes: `Call reached the ${Math.round(MAX_CALL_DURATION_MS / 60000)}-minute limit (step: ${state.currentStep})`,
+            goodbye: promptText(state.language, "maxDurationGoodbye"),
+          }).catch((e) => console.error("❌ Max-duration hangup failed:", e?.message || e));
+        }, MAX_CALL_DURATION_MS);
+      }
+      
+      // Don't open (and pay for) an STT session until the stream is authenticated.
+      // Start on the multilingual model until the caller's language is known.
+      openStt(DETECT_STT);
+      
       await upsertCallOutcome({
         callSid,
         patch: {
@@ -1012,53 +5199,90 @@ wss.on("connection", (ws) => {
         },
       });
       
+      state.callerIdPhone = extractPhone(callerPhone);
+      applyReturningCaller(state, await lookupReturningCaller(callerPhone));
+      
       if (!greeted) {
         greeted = true;
-        await say(VOICE_GREETING);
+        await say(state.known?.name
+          ? promptText("en", "voiceWelcomeBack", { name: state.known.name })
+          : promptText("en", "voiceGreeting"));
+        // Each keypad offer is read in its own language and voice
+        for (const lang of Object.values(LANGUAGE_KEYPAD)) {
+          if (state.languageLocked || state.issueText) break;
+          if (!hasVoice(lang)) continue;
+          await say(promptText(lang, "keypadOffer"), { lang, repeatable: false });
+        }
+        await waitForPlayback();
+        greetingPlayed = true;
+        armNoInputTimer();
       }
       return;
     }
     
-    if (data.event === "media" && deepgramLive?.readyState === WebSocket.OPEN) {
-      deepgramLive.send(Buffer.from(data.media.payload, "base64"));
+    if (data.event === "dtmf") {
+      const digit = String(data.dtmf?.digit ?? "");
+      if (!digit || callIsOver()) return;
+      // Any keypress counts as the caller answering
+      silentReprompts = 0;
+      clearTimeout(noInputTimer);
+      await handleKeypad(digit);
+      return;
+    }
+    
+    if (data.event === "mark") {
+      settleMark(data.mark?.name);
+      return;
+    }
+    
+    if (data.event === "media") {
+      const audio = Buffer.from(data.media.payload, "base64");
+      if (sttSession?.isOpen()) sttSession.send(audio);
+      else if (!sttStopped) bufferSttAudio(audio);
       return;
     }
     
     if (data.event === "stop") {
+      await flushPendingConfirmation();
       await upsertCallOutcome({
         callSid,
         patch: {
-          caller_phone: state.phone || callerPhone,
-          name: state.name || null,
-          zip_code: state.zip || null,
-          issue_text: state.issueText || null,
-          issue_category: state.issueCategory || null,
+          ...callOutcomeDetails(state, callerPhone),
           confirmed: !!state.confirmed,
-          outcome: state.confirmed ? "completed" : transferred ? "transferred" : "ended_unconfirmed",
-          notes: state.confirmed ? "Call completed after confirmation" : "Call ended before confirmation",
+          outcome: state.endOutcome || (state.confirmed ? "completed" : transferred ? "transferred" : "ended_unconfirmed"),
+          notes: state.endNotes || (state.confirmed ? "Call completed after confirmation" : "Call ended before confirmation"),
           source: "voice",
         },
       });
       
-      try { if (deepgramLive) deepgramLive.close(); } catch {}
+      stopStt();
       return;
     }
   });
   
   ws.on("close", async () => {
-    try { if (deepgramLive) deepgramLive.close(); } catch {}
+    clearTimeout(startTimer);
+    clearTimeout(noInputTimer);
+    clearTimeout(keypadTimer);
+    clearTimeout(maxDurationTimer);
+    metrics.wsSessions.dec();
+    if (!verified) return;
+    metrics.activeCalls.dec();
+    
+    stopStt();
+    settleAllMarks();
+    await flushPendingConfirmation();
+    
+    const outcome = state.endOutcome || (state.confirmed ? "completed" : transferred ? "transferred" : "socket_closed");
+    metrics.callOutcomes.inc({ source: "voice", outcome });
     
     await upsertCallOutcome({
       callSid,
       patch: {
-        caller_phone: state.phone || callerPhone,
-        name: state.name || null,
-        zip_code: state.zip || null,
-        issue_text: state.issueText || null,
-        issue_category: state.issueCategory || null,
+        ...callOutcomeDetails(state, callerPhone),
         confirmed: !!state.confirmed,
-        outcome: state.confirmed ? "completed" : transferred ? "transferred" : "socket_closed",
-        notes: state.confirmed ? "Socket closed after confirmation" : "Socket closed before confirmation",
+        outcome,
+        notes: state.endNotes || (state.confirmed ? "Socket closed after confirmation" : "Socket closed before confirmation"),
         source: "voice",
       },
     });
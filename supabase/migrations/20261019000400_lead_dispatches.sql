@@ -0,0 +1,25 @@
+-- Lead dispatch (createLeadFromCall → dispatchLead, POST /dispatch/accept).
+--
+-- Reads the existing mechanics table: id, name, email, phone, zip_code,
+-- service_types (text[]) and is_active. Sets leads.status to "dispatched" and
+-- "accepted" as well as "new", so any check constraint on it has to allow those.
+
+create table if not exists lead_dispatches (
+  id bigint generated always as identity primary key,
+  lead_id bigint not null references leads (id) on delete cascade,
+  -- null for the "no_mechanics" row
+  mechanic_id text,
+  -- send-lead / send-maintenance-lead; null for "accepted"
+  function_name text,
+  priority text check (priority in ('high', 'maintenance')),
+  -- 0 for "no_mechanics" and "accepted", otherwise 1..DISPATCH_MAX_ATTEMPTS
+  attempt integer not null default 0,
+  status text not null check (status in ('sent', 'failed', 'no_mechanics', 'accepted')),
+  http_status integer,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists lead_dispatches_lead_id_idx on lead_dispatches (lead_id, created_at);
+
+alter table lead_dispatches enable row level security;
@@ -0,0 +1,7 @@
+-- Post-call confirmation text (sendLeadConfirmationSms, POST /sms/status).
+-- status is Twilio's MessageStatus, or "skipped" / "failed" when it never went out.
+
+alter table leads
+  add column if not exists confirmation_sms_sid text,
+  add column if not exists confirmation_sms_status text,
+  add column if not exists confirmation_sms_error text;
@@ -0,0 +1,26 @@
+-- Turn-by-turn transcripts (createTranscriptRecorder, GET /admin/calls/:callSid/transcript),
+-- plus the fields callOutcomeDetails snapshots onto call_outcomes.
+
+create table if not exists call_transcripts (
+  id bigint generated always as identity primary key,
+  call_sid text not null,
+  -- Order within the conversation, from 1
+  seq integer not null,
+  -- "voice" or "sms"
+  source text not null,
+  -- caller, bot, state, or an event such as extraction, correction, no_input or caller_keypad
+  speaker text not null,
+  text text,
+  current_step text,
+  data jsonb,
+  created_at timestamptz not null default now(),
+  unique (call_sid, seq)
+);
+
+alter table call_transcripts enable row level security;
+
+alter table call_outcomes
+  add column if not exists car_make_model text,
+  add column if not exists car_year text,
+  add column if not exists urgency_window text,
+  add column if not exists drivable text;
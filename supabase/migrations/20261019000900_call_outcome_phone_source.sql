@@ -0,0 +1,4 @@
+-- Where the callback number came from: "spoken", "caller_id" or "previous_lead".
+
+alter table call_outcomes
+  add column if not exists phone_source text;
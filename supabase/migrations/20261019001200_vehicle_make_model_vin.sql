@@ -0,0 +1,11 @@
+-- Catalog-matched make/model and the optional VIN (createLeadFromCall, callOutcomeDetails).
+-- car_make_model stays the combined display string.
+
+alter table leads
+  add column if not exists car_make text,
+  add column if not exists car_model text,
+  add column if not exists vin text;
+
+alter table call_outcomes
+  add column if not exists car_make text,
+  add column if not exists car_model text;
@@ -0,0 +1,20 @@
+-- Voicemail fallback when no operator picks up (saveVoicemail). One row per call,
+-- filled in over the /voicemail/done, /voicemail/recording and /voicemail/transcription callbacks.
+
+create table if not exists voicemails (
+  id bigint generated always as identity primary key,
+  -- upserts go by call_sid
+  call_sid text not null unique,
+  caller_phone text,
+  language text,
+  recording_url text,
+  recording_sid text,
+  recording_duration integer,
+  recording_status text,
+  transcription_text text,
+  transcription_status text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table voicemails enable row level security;
@@ -0,0 +1,7 @@
+-- The caller's language: "en", "es" or "pt".
+
+alter table leads
+  add column if not exists language text not null default 'en';
+
+alter table call_outcomes
+  add column if not exists language text;
@@ -0,0 +1,10 @@
+-- Admin API (GET /admin/calls/:callSid, GET /admin/stats/daily): links a lead back to its
+-- call_outcomes row, and records the step an abandoned call dropped off at.
+
+alter table leads
+  add column if not exists call_sid text;
+
+create index if not exists leads_call_sid_idx on leads (call_sid);
+
+alter table call_outcomes
+  add column if not exists last_step text;
@@ -0,0 +1,86 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminGet, sendText, startServer, textIntake } from "./helpers.js";
+
+const TODAY = new Intl.DateTimeFormat("en-CA", { timeZone: "America/New_York" }).format(new Date());
+
+let server;
+
+before(async () => {
+  server = await startServer();
+
+  // One confirmed lead, one caller outside Massachusetts, one voicemail
+  await textIntake(server.port, "+16175550901");
+  await textIntake(server.port, "+16175550902", { until: "zip" });
+  await sendText(server.port, "+16175550902", "99999");
+  await sendText(server.port, "+16175550902", "99999");
+  await fetch(`http://127.0.0.1:${server.port}/voicemail/done`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ CallSid: "CA-admin-vm", From: "+16175550903" }),
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("the admin API needs the bearer token", async () => {
+  const url = `http://127.0.0.1:${server.port}/admin/calls`;
+  assert.equal((await fetch(url)).status, 401);
+  assert.equal((await fetch(url, { headers: { Authorization: "Bearer wrong" } })).status, 401);
+  assert.equal((await adminGet(server.port, "/admin/calls")).status, 200);
+});
+
+test("calls can be filtered and paged", async () => {
+  const { body: all } = await adminGet(server.port, "/admin/calls");
+  assert.equal(all.calls.length, 3);
+
+  const { body: outOfArea } = await adminGet(server.port, "/admin/calls?outcome=out_of_area");
+  assert.deepEqual(outOfArea.calls.map((c) => c.caller_phone), ["16175550902"]);
+
+  const { body: voice } = await adminGet(server.port, "/admin/calls?source=voice");
+  assert.deepEqual(voice.calls.map((c) => c.call_sid), ["CA-admin-vm"]);
+
+  const { body: page } = await adminGet(server.port, "/admin/calls?limit=1&offset=1");
+  assert.equal(page.calls.length, 1);
+  assert.equal(page.calls[0].call_sid, all.calls[1].call_sid);
+  assert.deepEqual([page.limit, page.offset], [1, 1]);
+
+  const { status } = await adminGet(server.port, "/admin/calls?from=yesterday");
+  assert.equal(status, 400);
+});
+
+test("a call comes back with its lead and dispatch status", async () => {
+  const { body: confirmed } = await adminGet(server.port, "/admin/calls?outcome=confirmed");
+  const { body } = await adminGet(server.port, `/admin/calls/${confirmed.calls[0].call_sid}`);
+  assert.equal(body.call.confirmed, true);
+  assert.equal(body.lead.name, "Sam");
+  assert.equal(body.lead.dispatch_status, "pending");
+
+  assert.equal((await adminGet(server.port, "/admin/calls/CA-nope")).status, 404);
+});
+
+test("leads are voice leads unless asked for texts", async () => {
+  const { body: voice } = await adminGet(server.port, "/admin/leads");
+  assert.equal(voice.leads.length, 0);
+  const { body: sms } = await adminGet(server.port, `/admin/leads?source=sms&from=${TODAY}&to=${TODAY}`);
+  assert.equal(sms.leads.length, 1);
+});
+
+test("daily stats count today's calls by outcome", async () => {
+  const { body } = await adminGet(server.port, "/admin/stats/daily");
+  assert.equal(body.days.length, 7);
+  assert.equal(body.to, TODAY);
+
+  const today = body.days.at(-1);
+  assert.equal(today.calls, 3);
+  assert.equal(today.confirmed, 1);
+  assert.equal(today.transfers, 1);
+  assert.deepEqual(today.outcomes, { confirmed: 1, out_of_area: 1, voicemail: 1 });
+  assert.deepEqual(today.drop_off_steps, {});
+  assert.equal(today.conversion_rate, 0.333);
+
+  const { status } = await adminGet(server.port, "/admin/stats/daily?from=2026-01-01&to=2026-12-31");
+  assert.equal(status, 400);
+});
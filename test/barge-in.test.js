@@ -0,0 +1,34 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sleep, startCall, startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    // The caller talks over the greeting
+    FAKE_STT_SCRIPT: "my brakes are grinding",
+    FAKE_STT_INTERVAL_MS: "1000",
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("talking over the bot clears its audio and gets an answer right away", async () => {
+  // Playback "takes" far longer than the caller waits to speak
+  const call = startCall(server.port, { callSid: "CA-barge-in", markDelayMs: 10000 });
+  await server.waitForLog(/Barge-in \(final\) — clearing bot audio/);
+  await server.waitForLog(/Bot: Got it\. Are you hearing squeaking or grinding/);
+  // The reply is streamed after the clear, not queued behind the rest of the greeting
+  const events = () => call.received.map((message) => message.event);
+  for (let i = 0; i < 50 && !events().slice(events().indexOf("clear")).includes("media"); i++) await sleep(100);
+  call.hangUp();
+
+  const clearAt = events().indexOf("clear");
+  assert.ok(clearAt > 0, "no clear sent");
+  assert.ok(events().slice(0, clearAt).includes("media"), "cleared before any audio was sent");
+  assert.ok(events().slice(clearAt).includes("media"), "no audio after the clear");
+});
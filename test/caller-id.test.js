@@ -0,0 +1,47 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminGet, botLines, sendText, startCall, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    // Says yes to the caller-ID offer instead of reading out a number
+    FAKE_STT_SCRIPT: "my brakes are grinding|only when I stop|2015 Honda Civic|my name is Sam|0 2 1 3 9|yes|yes|today|it needs a tow|yes",
+    FAKE_STT_INTERVAL_MS: "1500",
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("a caller can take the caller-ID number instead of saying one", async () => {
+  const since = server.logs.length;
+  const call = startCall(server.port, { callSid: "CA-caller-id", from: "+16175550402" });
+  await server.waitForLog(/Bot: Perfect — thanks, Sam/, 40000);
+  call.hangUp();
+
+  assert.ok(
+    botLines(server.logs.slice(since)).includes("I have your number as 6 1 7, 5 5 5, zero 4 zero 2. Is this the best number to reach you?"),
+    "caller ID never offered",
+  );
+  const { body } = await adminGet(server.port, "/admin/calls/CA-caller-id");
+  assert.equal(body.call.phone_source, "caller_id");
+  assert.equal(body.lead.phone, "6175550402");
+});
+
+test("turning the caller ID down asks for the number", async () => {
+  const from = "+16175550403";
+  assert.match(await textIntake(server.port, from, { until: "phone" }), /Is this number, .*0403, the best one to reach you\?$/);
+  assert.match(await sendText(server.port, from, "no"), /what's your 10-digit phone number\?$/);
+  assert.match(await sendText(server.port, from, "508 555 0199"), /^When do you need/);
+  for (const answer of ["today", "it needs a tow", "yes"]) await sendText(server.port, from, answer);
+
+  const { body } = await adminGet(server.port, "/admin/leads?source=sms");
+  const lead = body.leads.find((l) => l.name === "Sam" && l.phone === "5085550199");
+  assert.ok(lead, "lead not saved with the spoken number");
+  const { body: { call } } = await adminGet(server.port, `/admin/calls/${lead.call_sid}`);
+  assert.equal(call.phone_source, "spoken");
+});
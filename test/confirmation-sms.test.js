@@ -0,0 +1,49 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminGet, botLines, startCall, startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  // The fake STT's default script walks a whole intake; Twilio isn't configured
+  server = await startServer({ FAKE_STT_INTERVAL_MS: "1500", NO_INPUT_TIMEOUT_MS: "0" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function voiceLead() {
+  const { body } = await adminGet(server.port, "/admin/leads");
+  return body.leads[0];
+}
+
+test("without Twilio the lead records a skipped text and the goodbye doesn't promise one", async () => {
+  const since = server.logs.length;
+  const call = startCall(server.port, { callSid: "CA-confirm-sms" });
+  await server.waitForLog(/Bot: Perfect — thanks, Sam/, 30000);
+  call.hangUp();
+
+  const goodbye = botLines(server.logs.slice(since)).find((line) => line.startsWith("Perfect — thanks, Sam"));
+  assert.match(goodbye, /A mechanic will contact you shortly/);
+  assert.doesNotMatch(goodbye, /texting you/);
+
+  const lead = await voiceLead();
+  assert.equal(lead.call_sid, "CA-confirm-sms");
+  assert.equal(lead.confirmation_sms_status, "skipped");
+  assert.equal(lead.confirmation_sms_error, "Twilio is not configured");
+});
+
+test("Twilio's delivery callback updates the lead", async () => {
+  const lead = await voiceLead();
+  const res = await fetch(`http://127.0.0.1:${server.port}/sms/status?lead_id=${lead.id}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ MessageStatus: "undelivered", ErrorCode: "30003" }),
+  });
+  assert.equal(res.status, 204);
+
+  const updated = await voiceLead();
+  assert.equal(updated.confirmation_sms_status, "undelivered");
+  assert.equal(updated.confirmation_sms_error, "Twilio error 30003");
+});
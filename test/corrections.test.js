@@ -0,0 +1,58 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sendText, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  // LLM outage: every extraction goes through the regex fallback
+  server = await startServer({ FAKE_LLM_DOWN: "true" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function reachReadback(from) {
+  const reply = await textIntake(server.port, from, { until: "confirm" });
+  assert.match(reply, /^To confirm: you're Sam/);
+  return reply;
+}
+
+test("a correction can change urgency and drivability without the LLM", async () => {
+  const from = "+16175550101";
+  await reachReadback(from);
+  const reply = await sendText(server.port, from, "sorry I meant tomorrow, and I can drive it");
+  assert.match(reply, /the timing to this week/);
+  assert.match(reply, /whether it's drivable to yes/);
+});
+
+test("a correction can change the name and the car year together", async () => {
+  const from = "+16175550102";
+  await reachReadback(from);
+  const reply = await sendText(server.port, from, "no, my name is Mike and it's a 2017");
+  assert.match(reply, /your name to Mike/);
+  assert.match(reply, /the car to 2017 Honda Civic/);
+});
+
+test("a correction can change the phone number without the LLM", async () => {
+  const from = "+16175550103";
+  await reachReadback(from);
+  const reply = await sendText(server.port, from, "actually my number is 508 555 0199");
+  assert.match(reply, /your phone number to 5085550199/);
+  // The last four digits aren't taken for a model year
+  assert.doesNotMatch(reply, /the car to/);
+});
+
+test("a name, a ZIP or a stray word isn't taken for the issue without the LLM", async (t) => {
+  const cases = [
+    ["hi, my name is Marcel", /Tell me what's wrong with your car\.$/],
+    ["my zip code is 02139", /Tell me what's wrong with your car\.$/],
+    ["I retired last year and my car is making a noise", /clunk, knock, or rattle/],
+  ];
+  for (const [i, [text, expected]] of cases.entries()) {
+    await t.test(text, async () => {
+      assert.match(await sendText(server.port, `+1617555011${i}`, text), expected);
+    });
+  }
+});
@@ -0,0 +1,91 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sleep, startServer, startStub, textIntake } from "./helpers.js";
+
+const MECHANIC = { id: "mech-1", name: "Cambridge Auto", email: "shop@example.com", phone: "6175550000", zip_code: "02139" };
+const LEAD = { id: 42, lead_code: "MM-00042" };
+
+let supabase;
+let functions;
+let server;
+
+before(async () => {
+  // Just enough PostgREST: one mechanic, and the lead insert hands back its id and code
+  supabase = await startStub(({ method, url }) => {
+    if (method === "GET" && url.startsWith("/rest/v1/mechanics")) return { body: [MECHANIC] };
+    if (method === "POST" && url.startsWith("/rest/v1/leads")) return { status: 201, body: [LEAD] };
+    return { body: [] };
+  });
+  functions = await startStub(() => ({ body: { ok: true } }));
+  server = await startServer({
+    SUPABASE_URL: supabase.url,
+    SUPABASE_KEY: "test",
+    LEAD_DISPATCH_BASE_URL: `${functions.url}/functions/v1`,
+    DISPATCH_CALLBACK_SECRET: "test-secret",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await supabase?.close();
+  await functions?.close();
+});
+
+async function waitFor(find) {
+  for (let i = 0; i < 100; i++) {
+    const found = find();
+    if (found) return found;
+    await sleep(50);
+  }
+  throw new Error("timed out");
+}
+
+const dispatchRows = () => supabase.requests.filter((r) => r.method === "POST" && r.url.startsWith("/rest/v1/lead_dispatches"));
+const leadUpdates = () => supabase.requests.filter((r) => r.method === "PATCH" && r.url.startsWith("/rest/v1/leads"));
+
+test("a confirmed lead is sent to the eligible mechanic and marked dispatched", async () => {
+  // Needs a tow, so it goes out as a high-priority lead
+  await textIntake(server.port, "+16175550501");
+  await server.waitForLog(/Lead MM-00042 dispatched to 1\/1 mechanic/);
+
+  const [call] = functions.requests;
+  assert.equal(functions.requests.length, 1);
+  assert.equal(call.url, "/functions/v1/send-lead");
+  assert.equal(call.headers.authorization, "Bearer test");
+  assert.equal(call.body.mechanic_id, MECHANIC.id);
+  assert.equal(call.body.lead_id, LEAD.id);
+  assert.equal(call.body.lead_code, LEAD.lead_code);
+  assert.equal(call.body.priority, "high");
+  assert.equal(call.body.zip_code, "02139");
+  assert.equal(call.body.service_type, "brake-repair");
+
+  const [attempt] = await waitFor(() => dispatchRows().length && dispatchRows());
+  assert.equal(attempt.body.status, "sent");
+  assert.equal(attempt.body.function_name, "send-lead");
+
+  const update = await waitFor(() => leadUpdates()[0]);
+  assert.deepEqual(update.body, { status: "dispatched" });
+  assert.match(update.url, /id=eq\.42/);
+});
+
+test("the accept callback needs the shared secret", async () => {
+  const accept = (secret) => fetch(`http://127.0.0.1:${server.port}/dispatch/accept`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(secret ? { "x-dispatch-secret": secret } : {}) },
+    body: JSON.stringify({ lead_id: LEAD.id, mechanic_id: MECHANIC.id }),
+  });
+
+  assert.equal((await accept()).status, 401);
+  assert.equal((await accept("wrong")).status, 401);
+  assert.equal((await accept("test-secreT")).status, 401);
+
+  const updatesBefore = leadUpdates().length;
+  const res = await accept("test-secret");
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { ok: true });
+
+  const update = leadUpdates()[updatesBefore];
+  assert.deepEqual(update.body, { status: "accepted" });
+  assert.equal(decodeURIComponent(update.url), "/rest/v1/leads?id=eq.42&status=in.(new,dispatched)");
+  assert.ok(dispatchRows().some((r) => r.body.status === "accepted" && r.body.mechanic_id === MECHANIC.id));
+});
@@ -0,0 +1,50 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminGet, sendText, startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  // The same extraction comes back for every utterance, whatever was said
+  server = await startServer({
+    FAKE_LLM_REPLY: JSON.stringify({
+      issue: "brakes are grinding",
+      car_make: "Honda",
+      car_model: "Accord",
+      car_year: "2016",
+      name: "Dave",
+      zip: "01701",
+    }),
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("everything said up front is taken and those questions are skipped", async () => {
+  const from = "+16175550801";
+  const first = await sendText(server.port, from, "Hi, I'm Dave in 01701, my 2016 Accord's brakes are grinding");
+  assert.match(first, /Are you hearing squeaking or grinding/);
+  await server.waitForLog(/Extracted from llm: issue \(brakes\), car \(2016 Honda Accord\), name \(Dave\), ZIP \(01701, Framingham\)/);
+
+  // Straight from the follow-up to the ZIP readback: no car or name questions
+  assert.equal(await sendText(server.port, from, "only when I stop"), "That's 01701, Framingham — right?");
+  for (const answer of ["yes", "yes", "today", "it needs a tow", "yes"]) await sendText(server.port, from, answer);
+
+  const { body } = await adminGet(server.port, "/admin/leads?source=sms");
+  const lead = body.leads.find((l) => l.call_sid.startsWith("sms-16175550801-"));
+  assert.deepEqual(
+    [lead.name, lead.zip_code, lead.car_year, lead.car_make, lead.car_model, lead.service_type],
+    ["Dave", "01701", "2016", "Honda", "Accord", "brake-repair"],
+  );
+});
+
+test("fields the utterance doesn't back up are dropped", async () => {
+  const from = "+16175550802";
+  await sendText(server.port, from, "my brakes are grinding");
+  // The LLM still claims Dave, 01701 and a 2016 Honda Accord
+  assert.equal(await sendText(server.port, from, "only when I stop"), "What's the make and model of your car?");
+  assert.equal(await sendText(server.port, from, "a Toyota Camry"), "And what's your first name?");
+  assert.match(await sendText(server.port, from, "Sam"), /5-digit ZIP code\?$/);
+});
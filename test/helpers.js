@@ -0,0 +1,224 @@
+// Drives a real server.js process in offline mode (fake STT/TTS/LLM, in-memory store)
+import { spawn } from "node:child_process";
+import { createServer as createHttpServer } from "node:http";
+import { createServer } from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+
+const SERVER_JS = fileURLToPath(new URL("../server.js", import.meta.url));
+
+// Shared across runs so the phrase cache only gets synthesized once
+const TTS_CACHE_DIR = path.join(os.tmpdir(), "massmechanic-test-tts-cache");
+
+// Credentials the tests must never pick up from the shell
+const SCRUBBED_ENV = [
+  "SUPABASE_URL", "SUPABASE_KEY", "TWILIO_ACCOUNT_SID", "TWILIO_AUTH_TOKEN", "TWILIO_PHONE_NUMBER",
+  "OPENAI_API_KEY", "DEEPGRAM_API_KEY", "ADMIN_ESCALATION_PHONE", "FAKE_STT_SCRIPT", "FAKE_LLM_REPLY",
+  "LEAD_DISPATCH_BASE_URL", "DISPATCH_CALLBACK_SECRET",
+];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Starts server.js with the fake providers plus `env`. Resolves once it's listening to
+ * { port, logs, waitForLog(re, timeoutMs), stop() } — logs is every stdout/stderr line so far.
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const childEnv = { ...process.env };
+  SCRUBBED_ENV.forEach((key) => delete childEnv[key]);
+  Object.assign(childEnv, {
+    STT_PROVIDER: "fake",
+    TTS_PROVIDER: "fake",
+    LLM_PROVIDER: "fake",
+    TTS_CACHE_DIR,
+    ADMIN_API_TOKEN: "test-admin",
+    // Portuguese is only offered on calls with a voice for it; the fake TTS takes any name
+    DEEPGRAM_TTS_VOICE_PT: "test-pt",
+    PORT: String(port),
+    ...env,
+  });
+
+  const child = spawn(process.execPath, [SERVER_JS], { env: childEnv, stdio: ["ignore", "pipe", "pipe"] });
+  const logs = [];
+  const watchers = new Set();
+  const onData = (chunk) => {
+    for (const line of chunk.toString().split("\n")) {
+      if (!line) continue;
+      logs.push(line);
+      watchers.forEach((check) => check());
+    }
+  };
+  child.stdout.on("data", onData);
+  child.stderr.on("data", onData);
+
+  const waitForLog = (re, timeoutMs = 10000) => new Promise((resolve, reject) => {
+    const check = () => {
+      const line = logs.find((l) => re.test(l));
+      if (!line) return false;
+      watchers.delete(check);
+      clearTimeout(timer);
+      resolve(line);
+      return true;
+    };
+    const timer = setTimeout(() => {
+      watchers.delete(check);
+      reject(new Error(`Timed out waiting for ${re}\n${logs.join("\n")}`));
+    }, timeoutMs);
+    if (!check()) watchers.add(check);
+  });
+
+  const stop = () => new Promise((resolve) => {
+    if (child.exitCode !== null) return resolve();
+    child.once("exit", () => resolve());
+    child.kill();
+  });
+
+  try {
+    await waitForLog(/Running on/, 15000);
+    // Startup synthesizes the phrase cache; let it finish so it doesn't compete with the test
+    await waitForLog(/Phrase cache warm/, 30000);
+  } catch (e) {
+    await stop();
+    throw e;
+  }
+  return { port, logs, waitForLog, stop };
+}
+
+/**
+ * Local HTTP stand-in for a service server.js talks to (Supabase, the dispatch edge
+ * functions). `respond(request)` returns { status, body } for each request; every request
+ * is kept in `requests` as { method, url, headers, body } with the JSON body parsed.
+ */
+export function startStub(respond) {
+  const requests = [];
+  const server = createHttpServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        body = raw;
+      }
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+      const { status = 200, body: reply = [] } = respond(request) || {};
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise((done) => server.close(done)),
+    }));
+  });
+}
+
+/**
+ * Opens a Twilio-style media stream. Marks are echoed back `markDelayMs` after they're
+ * sent, standing in for Twilio finishing playback (markDelayMs: null never echoes them).
+ * `received` collects every message the server sends on the stream.
+ */
+export function startCall(port, { callSid = "CA-test", from = "+16175550100", markDelayMs = 50 } = {}) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/`);
+  const streamSid = `MZ-${callSid}`;
+  const received = [];
+  const send = (message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  ws.on("open", () => {
+    send({ event: "start", start: { streamSid, callSid, customParameters: { from, callSid } } });
+  });
+  ws.on("message", (raw) => {
+    const message = JSON.parse(raw);
+    received.push(message);
+    if (message.event === "mark" && markDelayMs !== null) setTimeout(() => send({ event: "mark", streamSid, mark: message.mark }), markDelayMs);
+  });
+
+  return {
+    received,
+    press: (digit) => send({ event: "dtmf", streamSid, dtmf: { track: "inbound_track", digit } }),
+    hangUp: () => {
+      send({ event: "stop", streamSid });
+      ws.close();
+    },
+  };
+}
+
+/** Sends one text through the SMS webhook and resolves to the bot's reply */
+export async function sendText(port, from, body) {
+  const res = await fetch(`http://127.0.0.1:${port}/sms`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ From: from, Body: body }),
+  });
+  const xml = await res.text();
+  const message = xml.match(/<Message>([\s\S]*)<\/Message>/)?.[1] || "";
+  return message
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+/** GETs an admin API route with the test token and resolves to { status, body } */
+export async function adminGet(port, route) {
+  const res = await fetch(`http://127.0.0.1:${port}${route}`, { headers: { Authorization: "Bearer test-admin" } });
+  return { status: res.status, body: await res.json() };
+}
+
+// One answer per intake step, in the order the bot asks; the readback comes after "drivable"
+const INTAKE_ANSWERS = [
+  ["issue", "my brakes are grinding"],
+  ["followup", "only when I stop"],
+  ["car", "2015 Honda Civic"],
+  ["name", "Sam"],
+  ["zip", "02139"],
+  ["zipConfirm", "yes"],
+  ["phone", "yes"],
+  ["urgency", "today"],
+  ["drivable", "it needs a tow"],
+  ["confirm", "yes"],
+];
+
+/**
+ * Texts a standard intake (Sam, 2015 Honda Civic, 02139) from `from`. Stops before
+ * answering step `until` and resolves to the bot's last reply — the question for that
+ * step; with no `until` the lead gets confirmed. `answers` overrides steps by name, and
+ * `startAt` picks a conversation back up at that step.
+ */
+export async function textIntake(port, from, { startAt, until, answers = {} } = {}) {
+  let reply = "";
+  const start = startAt ? INTAKE_ANSWERS.findIndex(([step]) => step === startAt) : 0;
+  for (const [step, answer] of INTAKE_ANSWERS.slice(start)) {
+    if (step === until) break;
+    reply = await sendText(port, from, answers[step] ?? answer);
+  }
+  return reply;
+}
+
+/** The bot's spoken lines so far, from the server log */
+export function botLines(logs) {
+  return logs.filter((line) => line.startsWith("🤖 Bot: ")).map((line) => line.slice("🤖 Bot: ".length));
+}
@@ -0,0 +1,63 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { botLines, sleep, startCall, startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    // Gets each call as far as the ZIP question
+    FAKE_STT_SCRIPT: "my brakes are grinding|only when I stop|2015 Honda Civic|my name is Sam",
+    FAKE_STT_INTERVAL_MS: "1500",
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Waits for the next time the bot asks for the ZIP on the call, after line `since`
+async function waitForZipQuestion(since) {
+  for (let i = 0; i < 200; i++) {
+    if (server.logs.slice(since).some((line) => line.startsWith("🤖 Bot: What's your 5-digit ZIP code?"))) return;
+    await sleep(100);
+  }
+  throw new Error(`ZIP question never asked:\n${server.logs.slice(since).join("\n")}`);
+}
+
+async function pressAll(call, keys) {
+  for (const key of keys) {
+    call.press(key);
+    await sleep(50);
+  }
+}
+
+test("the greeting tells callers to press 0 for a person", async () => {
+  const since = server.logs.length;
+  const call = startCall(server.port, { callSid: "CA-greeting" });
+  await server.waitForLog(/aperte 3/);
+  call.hangUp();
+  assert.ok(botLines(server.logs.slice(since)).some((line) => /press 0 at any time/.test(line)));
+});
+
+test("a ZIP typed on the keypad still starts with 0", async () => {
+  const since = server.logs.length;
+  const call = startCall(server.port, { callSid: "CA-keypad-zip" });
+  await waitForZipQuestion(since);
+  await pressAll(call, ["0", "2", "1", "3", "9", "#"]);
+  await server.waitForLog(/Keypad: 02139#/);
+  await server.waitForLog(/That's zero 2 1 3 9, Cambridge/);
+  call.hangUp();
+  assert.ok(!server.logs.slice(since).some((line) => line.includes("asked for a person")));
+});
+
+test("0 on its own reaches a person during ZIP entry", async () => {
+  const since = server.logs.length;
+  const call = startCall(server.port, { callSid: "CA-keypad-operator" });
+  await waitForZipQuestion(since);
+  await pressAll(call, ["0", "#"]);
+  await server.waitForLog(/Keypad 0# — caller asked for a person/);
+  call.hangUp();
+  assert.ok(!server.logs.slice(since).some((line) => line.includes("Keypad: 0#")), "0# was submitted as a ZIP");
+});
@@ -0,0 +1,41 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { botLines, sleep, startCall, startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    // No Portuguese voice configured
+    DEEPGRAM_TTS_VOICE_PT: "",
+    FAKE_STT_SCRIPT: "meu carro não liga, preciso de ajuda",
+    FAKE_STT_INTERVAL_MS: "1500",
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("without a Portuguese voice the greeting doesn't offer Portuguese", async () => {
+  const since = server.logs.length;
+  const call = startCall(server.port, { callSid: "CA-no-pt-offer" });
+  await server.waitForLog(/oprima 2/);
+  call.press("3");
+  await sleep(300);
+  call.hangUp();
+
+  const lines = server.logs.slice(since);
+  assert.ok(!botLines(lines).some((line) => /aperte 3/.test(line)), "Portuguese was offered");
+  assert.ok(!lines.some((line) => /Call language: Portuguese/.test(line)), "3 switched the call to Portuguese");
+});
+
+test("a caller who speaks Portuguese without a voice for it gets English", async () => {
+  const since = server.logs.length;
+  const call = startCall(server.port, { callSid: "CA-no-pt-speech" });
+  await server.waitForLog(/there's no voice for it — staying in English/, 15000);
+  call.hangUp();
+
+  assert.ok(!server.logs.slice(since).some((line) => /Call language: Portuguese/.test(line)));
+});
@@ -0,0 +1,39 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sleep, startCall, startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    // Silent caller, no reprompts: only the greeting gets played
+    FAKE_STT_SCRIPT: "|",
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("each bot line's audio is followed by its own mark", async () => {
+  const call = startCall(server.port, { callSid: "CA-marks" });
+  await server.waitForLog(/aperte 3/);
+  await sleep(500);
+  call.hangUp();
+
+  // Greeting, "oprima 2" and "aperte 3", one mark after each line's audio
+  const events = call.received.filter((m) => m.event === "media" || m.event === "mark");
+  const marks = events.filter((m) => m.event === "mark").map((m) => m.mark.name);
+  assert.deepEqual(marks, ["utt-1", "utt-2", "utt-3"]);
+  assert.equal(events[0].event, "media");
+  assert.equal(events.at(-1).event, "mark");
+});
+
+test("a mark Twilio never echoes back still ends playback after a grace period", async () => {
+  const call = startCall(server.port, { callSid: "CA-lost-mark", markDelayMs: null });
+  // The greeting's mark is given up on last: its audio runs longest
+  await server.waitForLog(/Mark utt-1 never came back — assuming playback finished/, 30000);
+  call.hangUp();
+  assert.ok(server.logs.some((line) => /Mark utt-3 never came back/.test(line)));
+});
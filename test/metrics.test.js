@@ -0,0 +1,64 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sendText, sleep, startCall, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    METRICS_TOKEN: "test-metrics",
+    FAKE_STT_SCRIPT: "my brakes are grinding",
+    FAKE_STT_INTERVAL_MS: "1000",
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function scrape() {
+  const res = await fetch(`http://127.0.0.1:${server.port}/metrics`, { headers: { Authorization: "Bearer test-metrics" } });
+  assert.equal(res.status, 200);
+  return res.text();
+}
+
+// The value of one series, e.g. metric(text, 'massmechanic_call_outcomes_total{source="sms",outcome="confirmed"}')
+function metric(text, series) {
+  const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+test("scraping needs the token when one is set", async () => {
+  assert.equal((await fetch(`http://127.0.0.1:${server.port}/metrics`)).status, 401);
+  assert.match(await scrape(), /^# HELP massmechanic_/m);
+});
+
+test("texted conversations show up as SMS sessions and outcomes", async () => {
+  await sendText(server.port, "+16175551001", "my brakes are grinding");
+  assert.equal(metric(await scrape(), "massmechanic_sms_sessions"), 1);
+
+  await textIntake(server.port, "+16175551002");
+  const text = await scrape();
+  assert.equal(metric(text, 'massmechanic_call_outcomes_total{source="sms",outcome="confirmed"}'), 1);
+  assert.equal(metric(text, "massmechanic_sms_sessions"), 1);
+  assert.ok(metric(text, 'massmechanic_openai_extraction_requests_total{result="ok"}') > 0);
+});
+
+test("a call counts as active until it hangs up, and its reply latency is recorded", async () => {
+  const call = startCall(server.port, { callSid: "CA-metrics" });
+  await server.waitForLog(/Bot: Got it\. Are you hearing squeaking or grinding/);
+  let text = await scrape();
+  assert.equal(metric(text, "massmechanic_active_calls"), 1);
+  assert.equal(metric(text, "massmechanic_websocket_sessions"), 1);
+  assert.ok(metric(text, "massmechanic_tts_cache_hits_total") > 0);
+
+  call.hangUp();
+  for (let i = 0; i < 20 && metric(text, "massmechanic_active_calls") !== 0; i++) {
+    await sleep(100);
+    text = await scrape();
+  }
+  assert.equal(metric(text, "massmechanic_active_calls"), 0);
+  assert.equal(metric(text, "massmechanic_websocket_sessions"), 0);
+  assert.equal(metric(text, "massmechanic_final_transcript_to_audio_seconds_count"), 1);
+});
@@ -0,0 +1,55 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { botLines, startCall, startServer } from "./helpers.js";
+
+// Supabase stand-in that answers every request slowly and with nothing in it
+function startSlowSupabase(delayMs) {
+  return new Promise((resolve) => {
+    const server = createServer((req, res) => {
+      req.resume();
+      setTimeout(() => {
+        res.setHeader("content-type", "application/json");
+        res.end(req.method === "GET" ? "[]" : "{}");
+      }, delayMs);
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+let supabase;
+let server;
+
+before(async () => {
+  supabase = await startSlowSupabase(1500);
+  server = await startServer({
+    SUPABASE_URL: `http://127.0.0.1:${supabase.address().port}`,
+    SUPABASE_KEY: "test",
+    // Silent caller: the fake STT never hears anything
+    FAKE_STT_SCRIPT: "|",
+    NO_INPUT_TIMEOUT_MS: "300",
+    NO_INPUT_MAX_REPROMPTS: "1",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  supabase?.close();
+});
+
+test("silence is only timed once the greeting has played", async () => {
+  // Playback of every line "takes" 400ms on the caller's end
+  const call = startCall(server.port, { callSid: "CA-silent", markDelayMs: 400 });
+
+  await server.waitForLog(/No input after 1 reprompts/, 20000);
+  call.hangUp();
+
+  const lines = botLines(server.logs);
+  assert.match(lines[0], /^Thanks for calling Mass Mechanic/);
+
+  // The greeting and both keypad offers all come before the first reprompt
+  const firstReprompt = lines.findIndex((line) => /didn't hear anything/.test(line));
+  const lastOffer = lines.findIndex((line) => /aperte 3/.test(line));
+  assert.ok(lastOffer > 0, "keypad offers were read");
+  assert.ok(firstReprompt > lastOffer, `reprompted before the greeting finished:\n${lines.join("\n")}`);
+});
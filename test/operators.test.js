@@ -0,0 +1,118 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { sendText, sleep, startServer, startStub } from "./helpers.js";
+
+const OPERATORS = ["+16175550901", "+16175550902"];
+
+// Today's date where the business is, to close it for the day
+const TODAY = new Intl.DateTimeFormat("en-CA", { timeZone: "America/New_York" }).format(new Date());
+
+async function postWebhook(port, route, params = {}) {
+  const res = await fetch(`http://127.0.0.1:${port}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(params),
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+describe("while operators are on", () => {
+  let supabase;
+  let server;
+
+  before(async () => {
+    supabase = await startStub(() => ({ status: 201, body: [] }));
+    server = await startServer({
+      SUPABASE_URL: supabase.url,
+      SUPABASE_KEY: "test",
+      OPERATOR_PHONES: OPERATORS.join(","),
+      BUSINESS_HOURS: "sun-sat 00:00-24:00",
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await supabase?.close();
+  });
+
+  test("a transfer rings each operator in turn, then offers voicemail", async () => {
+    const first = await postWebhook(server.port, "/transfer?lang=en", { CallSid: "CA-ops-1" });
+    assert.match(first.text, /Connecting you now\./);
+    assert.match(first.text, /<Number>\+16175550901<\/Number>/);
+    assert.match(first.text, /action="[^"]*\/transfer\/next\?step=0&amp;lang=en"/);
+
+    const second = await postWebhook(server.port, "/transfer/next?step=0&lang=en", { CallSid: "CA-ops-1", DialCallStatus: "no-answer" });
+    assert.match(second.text, /<Number>\+16175550902<\/Number>/);
+    assert.doesNotMatch(second.text, /Connecting you now/);
+
+    const last = await postWebhook(server.port, "/transfer/next?step=1&lang=en", { CallSid: "CA-ops-1", DialCallStatus: "busy" });
+    assert.match(last.text, /Sorry — nobody could pick up\./);
+    assert.match(last.text, /<Record [^>]*action="[^"]*\/voicemail\/done\?lang=en"/);
+
+    const answered = await postWebhook(server.port, "/transfer/next?step=0&lang=en", { CallSid: "CA-ops-2", DialCallStatus: "completed" });
+    assert.match(answered.text, /<Hangup\/>/);
+    assert.doesNotMatch(answered.text, /<Dial|<Record/);
+  });
+
+  test("a voicemail is saved along with its recording and transcription", async () => {
+    const done = await postWebhook(server.port, "/voicemail/done?lang=en", {
+      CallSid: "CA-ops-vm",
+      From: "+16175550903",
+      RecordingUrl: "https://api.twilio.com/recordings/RE1",
+      RecordingSid: "RE1",
+      RecordingDuration: "14",
+    });
+    assert.match(done.text, /we got your message/);
+
+    await postWebhook(server.port, "/voicemail/transcription", {
+      CallSid: "CA-ops-vm",
+      TranscriptionText: "My brakes are grinding, call me back",
+      TranscriptionStatus: "completed",
+    });
+
+    const upserts = supabase.requests.filter((r) => r.method === "POST" && r.url.startsWith("/rest/v1/voicemails"));
+    assert.equal(upserts.length, 2);
+    assert.ok(upserts.every((r) => r.url.includes("on_conflict=call_sid")));
+    assert.equal(upserts[0].body.call_sid, "CA-ops-vm");
+    assert.equal(upserts[0].body.caller_phone, "16175550903");
+    assert.equal(upserts[0].body.recording_sid, "RE1");
+    assert.equal(upserts[0].body.recording_duration, 14);
+    assert.equal(upserts[1].body.transcription_text, "My brakes are grinding, call me back");
+
+    let outcome;
+    for (let i = 0; i < 20 && !outcome; i++) {
+      outcome = supabase.requests.find((r) => r.url.startsWith("/rest/v1/call_outcomes") && r.body?.call_sid === "CA-ops-vm");
+      if (!outcome) await sleep(50);
+    }
+    assert.equal(outcome?.body.outcome, "voicemail");
+  });
+});
+
+describe("while operators are off", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      OPERATOR_PHONES: OPERATORS.join(","),
+      BUSINESS_HOURS: "sun-sat 09:00-17:00",
+      BUSINESS_HOLIDAYS: TODAY,
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("a transfer goes straight to voicemail", async () => {
+    const { text } = await postWebhook(server.port, "/transfer?lang=en", { CallSid: "CA-ops-closed" });
+    assert.match(text, /Sorry, our team isn&apos;t available right now\./);
+    assert.match(text, /<Record /);
+    assert.doesNotMatch(text, /<Dial/);
+  });
+
+  test("a texter asking for a person is told when we're back", async () => {
+    const from = "+16175550904";
+    await sendText(server.port, from, "my brakes are grinding");
+    assert.match(await sendText(server.port, from, "can I talk to a real person"), /offline right now, .* when we're back tomorrow at 9 AM\.$/);
+  });
+});
@@ -0,0 +1,36 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sendText, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Texts through the intake up to the phone question, turning down the caller ID
+async function reachPhone(from) {
+  await textIntake(server.port, from, { until: "phone" });
+  return sendText(server.port, from, "no");
+}
+
+test("counting to ten isn't taken as a phone number", async () => {
+  const from = "+16175550301";
+  assert.match(await reachPhone(from), /phone number/);
+  const reply = await sendText(server.port, from, "one two three four five six seven eight nine ten");
+  assert.doesNotMatch(reply, /^When do you need/);
+  await server.waitForLog(/Phone answer had number words/);
+  assert.ok(!server.logs.some((line) => line.includes("Extracted phone: 2345678910")));
+});
+
+test("a phone number said digit by digit is taken", async () => {
+  const from = "+16175550302";
+  await reachPhone(from);
+  const reply = await sendText(server.port, from, "five oh eight five five five zero one nine nine");
+  assert.match(reply, /^When do you need/);
+  await server.waitForLog(/Extracted phone: 5085550199/);
+});
@@ -0,0 +1,62 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { startCall, startServer } from "./helpers.js";
+
+let cacheDir;
+
+before(async () => {
+  // Not the shared test cache: these tests need to watch it fill up from empty
+  cacheDir = await mkdtemp(path.join(os.tmpdir(), "massmechanic-phrase-cache-"));
+});
+
+after(async () => {
+  await rm(cacheDir, { recursive: true, force: true });
+});
+
+function warmCounts(logs) {
+  const line = logs.find((l) => l.includes("Phrase cache warm"));
+  const [, disk, synthesized, failed] = line.match(/(\d+) from disk, (\d+) synthesized, (\d+) failed/).map(Number);
+  return { disk, synthesized, failed };
+}
+
+test("fixed prompts are synthesized once and reused after a restart", async () => {
+  const first = await startServer({ TTS_CACHE_DIR: cacheDir });
+  await first.stop();
+  const { disk, synthesized, failed } = warmCounts(first.logs);
+  assert.equal(disk, 0);
+  assert.equal(failed, 0);
+  assert.ok(synthesized > 0);
+  assert.equal((await readdir(cacheDir)).filter((file) => file.endsWith(".ulaw")).length, synthesized);
+
+  const second = await startServer({ TTS_CACHE_DIR: cacheDir });
+  await second.stop();
+  assert.deepEqual(warmCounts(second.logs), { disk: synthesized, synthesized: 0, failed: 0 });
+});
+
+test("with the TTS provider down, cached prompts still play and a failed line gets the fallback", async () => {
+  const server = await startServer({
+    TTS_CACHE_DIR: cacheDir,
+    FAKE_TTS_DOWN: "true",
+    // Up to the ZIP readback, the first line with the caller's details in it
+    FAKE_STT_SCRIPT: "my brakes are grinding|only when I stop|2015 Honda Civic|my name is Sam|0 2 1 3 9",
+    FAKE_STT_INTERVAL_MS: "1500",
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+  try {
+    const call = startCall(server.port, { callSid: "CA-phrase-cache" });
+    await server.waitForLog(/Playing the fallback line/, 30000);
+    call.hangUp();
+
+    const since = server.logs.findIndex((line) => line.startsWith("🤖 Bot: That's zero 2 1 3 9, Cambridge"));
+    assert.ok(since > 0, "ZIP never read back");
+    assert.ok(server.logs.slice(since).some((line) => line.includes("TTS Error")));
+    // Everything up to there came from the cache
+    assert.ok(!server.logs.slice(0, since).some((line) => line.includes("TTS Error")));
+    assert.ok(call.received.filter((message) => message.event === "media").length > 0);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,70 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { botLines, startCall, startServer } from "./helpers.js";
+
+const SERVER_JS = fileURLToPath(new URL("../server.js", import.meta.url));
+
+// Starts server.js with only `env` (no credentials from the shell) and resolves to
+// { code, output } once it exits; these configurations never get as far as listening
+function runUntilExit(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER_JS], { env: { PATH: process.env.PATH, PORT: "0", ...env } });
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`server.js kept running:\n${output}`));
+    }, 10000);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+let server;
+
+before(async () => {
+  server = await startServer({ FAKE_STT_SCRIPT: "my brakes are grinding", FAKE_STT_INTERVAL_MS: "1000", NO_INPUT_TIMEOUT_MS: "0" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("with every provider faked, a call runs with no keys and nothing stored remotely", async () => {
+  assert.ok(server.logs.includes("🔌 Providers: STT=fake, TTS=fake, LLM=fake (offline)"));
+  assert.ok(server.logs.some((line) => line.includes("storing calls and leads in memory")));
+
+  const call = startCall(server.port, { callSid: "CA-providers" });
+  await server.waitForLog(/Bot: Got it\. Are you hearing squeaking or grinding/);
+  call.hangUp();
+  assert.ok(call.received.some((message) => message.event === "media"), "no audio from the fake TTS");
+  assert.ok(botLines(server.logs).some((line) => line.startsWith("Thanks for calling Mass Mechanic")));
+});
+
+test("a real provider still needs its key", async () => {
+  const { code, output } = await runUntilExit({ STT_PROVIDER: "fake", TTS_PROVIDER: "fake", LLM_PROVIDER: "openai" });
+  assert.equal(code, 1);
+  // Not offline any more, so Twilio and Supabase are required again too
+  assert.match(output, /Missing required env vars: OPENAI_API_KEY, TWILIO_ACCOUNT_SID/);
+  assert.doesNotMatch(output, /DEEPGRAM_API_KEY/);
+});
+
+test("an unknown provider name stops startup", async () => {
+  const { code, output } = await runUntilExit({
+    STT_PROVIDER: "whisper",
+    TTS_PROVIDER: "fake",
+    LLM_PROVIDER: "fake",
+    TWILIO_ACCOUNT_SID: "AC-test",
+    TWILIO_AUTH_TOKEN: "test",
+    TWILIO_PHONE_NUMBER: "+16175550000",
+    SUPABASE_URL: "http://127.0.0.1:9",
+    SUPABASE_KEY: "test",
+  });
+  assert.equal(code, 1);
+  assert.match(output, /Unknown STT_PROVIDER "whisper" \(expected deepgram or fake\)/);
+});
@@ -0,0 +1,43 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sendText, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Files a lead as Sam, so the number has one on file
+async function fileLeadAsSam(from) {
+  await textIntake(server.port, from);
+  await server.waitForLog(/Lead created/);
+}
+
+// Starts a second conversation from the same number, up to the name question
+async function textAgain(from) {
+  await sendText(server.port, from, "my car won't start");
+  await sendText(server.port, from, "it just clicks");
+  return sendText(server.port, from, "yes");
+}
+
+test("a returning texter is asked to confirm the name on file", async () => {
+  const from = "+16175550401";
+  await fileLeadAsSam(from);
+  assert.equal(await textAgain(from), "Just to check — am I speaking with Sam?");
+});
+
+test("someone else texting from the same number gets their own name on the lead", async () => {
+  const from = "+16175550402";
+  await fileLeadAsSam(from);
+  await textAgain(from);
+  const reply = await sendText(server.port, from, "no, this is Mike");
+  assert.match(reply, /ZIP/);
+  let readback = "";
+  for (const answer of ["02139", "yes", "yes", "today", "it needs a tow"]) readback = await sendText(server.port, from, answer);
+  assert.match(readback, /^To confirm: you're Mike/);
+});
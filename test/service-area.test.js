@@ -0,0 +1,53 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminGet, sendText, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ SERVICE_AREA: "021, Worcester" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function outOfAreaCall(from) {
+  const { body } = await adminGet(server.port, "/admin/calls?outcome=out_of_area");
+  return body.calls.find((c) => c.call_sid.startsWith(`sms-${from.slice(1)}-`));
+}
+
+test("a covered ZIP is read back with its town before it's taken", async () => {
+  const from = "+16175550501";
+  await textIntake(server.port, from, { until: "zip" });
+  assert.match(await sendText(server.port, from, "02139"), /That's 02139, Cambridge — right\?$/);
+  assert.match(await sendText(server.port, from, "no"), /5-digit ZIP code\?$/);
+
+  // Covered by town name rather than prefix
+  assert.match(await sendText(server.port, from, "01609"), /That's 01609, Worcester — right\?$/);
+  assert.match(await sendText(server.port, from, "yes"), /best one to reach you\?$/);
+});
+
+test("a Massachusetts town outside the service area is turned away", async () => {
+  const from = "+16175550502";
+  await textIntake(server.port, from, { until: "zip" });
+  const reply = await sendText(server.port, from, "01002");
+  assert.match(reply, /don't currently have mechanics covering Amherst/);
+
+  const call = await outOfAreaCall(from);
+  assert.equal(call.zip_code, "01002");
+  assert.equal(call.notes, "Outside service area: 01002 (Amherst)");
+
+  // The conversation is over; texting again starts a new one
+  assert.match(await sendText(server.port, from, "hello?"), /^Welcome back to Mass Mechanic, Sam!/);
+});
+
+test("a ZIP that isn't in Massachusetts gets one more try", async () => {
+  const from = "+16175550503";
+  await textIntake(server.port, from, { until: "zip" });
+  assert.match(await sendText(server.port, from, "99999"), /I don't have 99999 as a Massachusetts ZIP code/);
+  assert.match(await sendText(server.port, from, "99999"), /don't currently have mechanics covering/);
+
+  const call = await outOfAreaCall(from);
+  assert.equal(call.notes, "Not a recognized Massachusetts ZIP: 99999");
+});
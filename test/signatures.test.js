@@ -0,0 +1,106 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import twilio from "twilio";
+import WebSocket from "ws";
+import { sleep, startServer } from "./helpers.js";
+
+const AUTH_TOKEN = "test-auth-token";
+const BASE_URL = "https://bot.example.com";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    PUBLIC_BASE_URL: BASE_URL,
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Posts a webhook form the way Twilio would; `sign: false` leaves the signature off
+async function postWebhook(route, params, { sign = true } = {}) {
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (sign) headers["X-Twilio-Signature"] = twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${BASE_URL}${route}`, params);
+  const res = await fetch(`http://127.0.0.1:${server.port}${route}`, { method: "POST", headers, body: new URLSearchParams(params) });
+  return { status: res.status, text: await res.text() };
+}
+
+/**
+ * Opens the media stream and sends "start" with `token`. Resolves after `ms` to what
+ * happened: { status } when the upgrade was refused, otherwise { closed, media }.
+ */
+function openStream(callSid, token, { sign = true, ms = 1500 } = {}) {
+  const headers = sign ? { "X-Twilio-Signature": twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${BASE_URL.replace(/^http/, "ws")}/`, {}) } : {};
+  const ws = new WebSocket(`ws://127.0.0.1:${server.port}/`, { headers });
+  const result = { closed: false, media: 0 };
+  return new Promise((resolve) => {
+    ws.on("unexpected-response", (_req, res) => {
+      ws.terminate();
+      resolve({ status: res.statusCode });
+    });
+    ws.on("error", () => {});
+    ws.on("open", () => {
+      ws.send(JSON.stringify({ event: "start", start: { streamSid: `MZ-${callSid}`, callSid, customParameters: { callSid, token } } }));
+      setTimeout(() => {
+        ws.close();
+        resolve(result);
+      }, ms);
+    });
+    ws.on("message", (raw) => {
+      if (JSON.parse(raw).event === "media") result.media++;
+    });
+    ws.on("close", () => (result.closed = true));
+  });
+}
+
+function streamToken(twiml) {
+  return twiml.match(/<Parameter name="token" value="([^"]*)"/)?.[1] || "";
+}
+
+test("webhooks without a valid signature are refused", async () => {
+  const params = { CallSid: "CA-sig-1", From: "+16175550100" };
+  assert.equal((await postWebhook("/voice", params, { sign: false })).status, 403);
+  assert.equal((await postWebhook("/sms", { From: "+16175550100", Body: "hi" }, { sign: false })).status, 403);
+
+  // Signed for other parameters than the ones sent
+  const forged = await fetch(`http://127.0.0.1:${server.port}/voice`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "X-Twilio-Signature": twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${BASE_URL}/voice`, params),
+    },
+    body: new URLSearchParams({ ...params, From: "+16175550199" }),
+  });
+  assert.equal(forged.status, 403);
+
+  const signed = await postWebhook("/voice", params);
+  assert.equal(signed.status, 200);
+  assert.match(signed.text, /<Stream url="wss:\/\/bot\.example\.com\/">/);
+  assert.ok(streamToken(signed.text), "no stream token in the TwiML");
+});
+
+test("the media stream needs a signed upgrade and the token /voice issued for that call", async () => {
+  const { text } = await postWebhook("/voice", { CallSid: "CA-sig-2", From: "+16175550100" });
+  const token = streamToken(text);
+
+  assert.deepEqual(await openStream("CA-sig-2", token, { sign: false }), { status: 403 });
+
+  // Someone else's call
+  const other = await openStream("CA-sig-other", token);
+  assert.equal(other.closed, true);
+  assert.equal(other.media, 0);
+
+  const call = await openStream("CA-sig-2", token);
+  assert.ok(call.media > 0, "no greeting audio");
+
+  // A token only works once
+  await sleep(100);
+  const replay = await openStream("CA-sig-2", token);
+  assert.equal(replay.closed, true);
+  assert.equal(replay.media, 0);
+  assert.ok(server.logs.some((line) => line.includes("stream token already used")));
+});
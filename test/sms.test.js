@@ -0,0 +1,46 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminGet, sendText, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("the first text gets the greeting and the first intake question", async () => {
+  const reply = await sendText(server.port, "+16175550601", "hi, my brakes are grinding");
+  assert.match(reply, /^Thanks for texting Mass Mechanic/);
+  // The problem was in the first text, so it goes straight to the brake follow-up
+  assert.match(reply, /\n\nGot it\. Are you hearing squeaking or grinding/);
+});
+
+test("a texted intake ends with a request code and an sms lead", async () => {
+  const from = "+16175550602";
+  const goodbye = await textIntake(server.port, from);
+  const code = goodbye.match(/Your request code is (MM-\d{5})/)?.[1];
+  assert.ok(code, goodbye);
+  assert.match(goodbye, /near ZIP 02139/);
+
+  const { body } = await adminGet(server.port, "/admin/leads?source=sms");
+  const lead = body.leads.find((l) => l.lead_code === code);
+  assert.ok(lead, "lead not listed");
+  assert.equal(lead.lead_source, "sms");
+  assert.equal(lead.name, "Sam");
+  assert.equal(lead.zip_code, "02139");
+  assert.equal(lead.phone, "6175550602");
+  assert.equal(lead.car_make_model, "Honda Civic");
+  assert.equal(lead.urgency_window, "today");
+  assert.equal(lead.drivable, "no_needs_tow");
+});
+
+test("a new text after the lead is in starts a fresh conversation", async () => {
+  const from = "+16175550603";
+  await textIntake(server.port, from);
+  const reply = await sendText(server.port, from, "hello again");
+  assert.match(reply, /^Welcome back to Mass Mechanic, Sam!/);
+});
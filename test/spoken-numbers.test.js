@@ -0,0 +1,40 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sendText, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("a ZIP in number words is understood", async () => {
+  const from = "+16175550601";
+  await textIntake(server.port, from, { until: "zip" });
+  assert.match(await sendText(server.port, from, "zero two one three nine"), /That's 02139, Cambridge — right\?$/);
+});
+
+test("a ZIP split over two messages only asks for what's missing", async () => {
+  const from = "+16175550602";
+  await textIntake(server.port, from, { until: "zip" });
+  assert.match(await sendText(server.port, from, "oh two one"), /what are the last 2 digits\?$/);
+  assert.match(await sendText(server.port, from, "three nine"), /That's 02139, Cambridge — right\?$/);
+});
+
+test("a self-corrected ZIP keeps the correction", async () => {
+  const from = "+16175550603";
+  await textIntake(server.port, from, { until: "zip" });
+  assert.match(await sendText(server.port, from, "zero two one — sorry, zero two one three eight"), /That's 02138, Cambridge — right\?$/);
+});
+
+test("double and triple digits count twice and three times", async () => {
+  const from = "+16175550604";
+  await textIntake(server.port, from, { until: "phone" });
+  await sendText(server.port, from, "no");
+  assert.match(await sendText(server.port, from, "five oh eight triple five oh one double nine"), /^When do you need/);
+  await server.waitForLog(/Extracted phone: 5085550199/);
+});
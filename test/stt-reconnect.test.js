@@ -0,0 +1,61 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { botLines, startCall, startServer } from "./helpers.js";
+
+describe("when the STT stream drops", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      FAKE_STT_SCRIPT: "my brakes are grinding|only when I stop|2015 Honda Civic|my name is Sam",
+      FAKE_STT_INTERVAL_MS: "1000",
+      // Every session drops partway through, after hearing a line or two
+      FAKE_STT_DROP_AFTER_MS: "2500",
+      NO_INPUT_TIMEOUT_MS: "0",
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("it reconnects and the call carries on where it was", async () => {
+    const call = startCall(server.port, { callSid: "CA-stt-drop" });
+    await server.waitForLog(/Bot: What's your 5-digit ZIP code\?/, 30000);
+    call.hangUp();
+
+    assert.ok(server.logs.some((line) => line.startsWith("⚠️ STT stream closed mid-call (code 1011)")));
+    assert.ok(server.logs.includes("🔄 STT reconnect attempt 1/5"));
+    assert.ok(server.logs.includes("🔌 STT back after 1 reconnect attempt(s)"));
+    // Nothing was asked twice or skipped over the drops
+    assert.deepEqual(botLines(server.logs).filter((line) => /make and model|first name|ZIP code/.test(line)), [
+      "What's the make and model of your car?",
+      "And what's your first name?",
+      "What's your 5-digit ZIP code? You can also type it on your keypad, then press pound.",
+    ]);
+  });
+});
+
+describe("when STT can't be reached at all", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ FAKE_STT_DOWN: "true", NO_INPUT_TIMEOUT_MS: "0" });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("it gives up after five attempts and hands the caller to a person", async () => {
+    const call = startCall(server.port, { callSid: "CA-stt-down" });
+    await server.waitForLog(/STT still down after 5 reconnect attempts — transferring/, 20000);
+    await server.waitForLog(/Bot: Sorry, I'm having trouble hearing you\. Our team is offline right now/);
+    call.hangUp();
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      assert.ok(server.logs.includes(`🔄 STT reconnect attempt ${attempt}/5`), `no attempt ${attempt}`);
+    }
+    assert.ok(!server.logs.includes("🔄 STT reconnect attempt 6/5"));
+  });
+});
@@ -0,0 +1,63 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminGet, startCall, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    FAKE_STT_SCRIPT: "my brakes are grinding",
+    FAKE_STT_INTERVAL_MS: "1000",
+    NO_INPUT_TIMEOUT_MS: "0",
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("a texted conversation is stored turn by turn, in order", async () => {
+  await textIntake(server.port, "+16175550701");
+  const { body: calls } = await adminGet(server.port, "/admin/calls?source=sms");
+  const call = calls.calls.find((c) => c.call_sid.startsWith("sms-16175550701-"));
+  assert.ok(call, "call not listed");
+
+  const { status, body } = await adminGet(server.port, `/admin/calls/${call.call_sid}/transcript`);
+  assert.equal(status, 200);
+  assert.equal(body.outcome.confirmed, true);
+
+  const turns = body.transcript;
+  assert.deepEqual(turns.map((t) => t.seq), turns.map((_, i) => i + 1));
+  assert.ok(turns.every((t) => t.source === "sms"));
+
+  const callerLines = turns.filter((t) => t.speaker === "caller").map((t) => t.text);
+  assert.equal(callerLines[0], "my brakes are grinding");
+  assert.equal(callerLines.at(-1), "yes");
+  assert.match(turns.find((t) => t.speaker === "bot").text, /^Thanks for texting Mass Mechanic/);
+
+  // Each turn's state changes are recorded next to it, as from/to pairs
+  const named = turns.find((t) => t.speaker === "state" && t.data?.name);
+  assert.ok(named, "no state row with the caller's name");
+  assert.equal(named.data.name.to, "Sam");
+  const said = turns.slice(0, turns.indexOf(named)).findLast((t) => t.speaker === "caller");
+  assert.equal(said.text, "Sam");
+});
+
+test("a call's transcript has the bot's lines and what the caller said", async () => {
+  const call = startCall(server.port, { callSid: "CA-transcript" });
+  await server.waitForLog(/Bot: Got it\. Are you hearing squeaking or grinding/);
+  call.hangUp();
+
+  const { body } = await adminGet(server.port, "/admin/calls/CA-transcript/transcript");
+  const turns = body.transcript;
+  assert.ok(turns.every((t) => t.source === "voice"));
+  assert.match(turns[0].text, /^Thanks for calling Mass Mechanic/);
+  const heard = turns.findIndex((t) => t.speaker === "caller" && t.text === "my brakes are grinding");
+  assert.ok(heard > 0);
+  assert.ok(turns.slice(heard).some((t) => t.speaker === "bot" && /squeaking or grinding/.test(t.text)));
+});
+
+test("an unknown call is a 404", async () => {
+  const { status } = await adminGet(server.port, "/admin/calls/CA-nope/transcript");
+  assert.equal(status, 404);
+});
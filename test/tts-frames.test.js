@@ -0,0 +1,43 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { botLines, sleep, startCall, startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ FAKE_STT_SCRIPT: "my brakes are grinding", FAKE_STT_INTERVAL_MS: "1000", NO_INPUT_TIMEOUT_MS: "0" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("speech goes out in 20ms frames, one sentence at a time", async () => {
+  const call = startCall(server.port, { callSid: "CA-frames" });
+  await server.waitForLog(/Bot: Got it\. Are you hearing squeaking or grinding/);
+  await sleep(500);
+  call.hangUp();
+
+  // Bytes of audio sent ahead of each line's mark
+  const lines = [];
+  let bytes = 0;
+  for (const message of call.received) {
+    if (message.event === "media") {
+      const frame = Buffer.from(message.media.payload, "base64");
+      // The fake TTS makes whole frames, so there's no short one at the end of a sentence
+      assert.equal(frame.length, 160);
+      bytes += frame.length;
+    } else if (message.event === "mark") {
+      lines.push(bytes);
+      bytes = 0;
+    }
+  }
+
+  const [greeting, , , followup] = botLines(server.logs);
+  assert.equal(lines.length, 4);
+  // The fake speaks 60ms a character; the greeting goes to it sentence by sentence, or it
+  // would have been cut off at the fake's 12s limit for a single request
+  assert.ok(greeting.length * 60 > 12000);
+  assert.ok(lines[0] / 8 > 12000, `greeting was only ${lines[0] / 8}ms`);
+  assert.equal(lines[3] / 8, followup.length * 60);
+});
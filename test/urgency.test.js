@@ -0,0 +1,56 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { sendText, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("not safe to drive counts as needing a tow", async () => {
+  const from = "+16175550201";
+  await textIntake(server.port, from, { until: "drivable" });
+  const reply = await sendText(server.port, from, "I don't think it's safe to drive");
+  assert.match(reply, /^To confirm: you're Sam/);
+  await server.waitForLog(/Captured drivability: no_needs_tow \("I don't think it's safe to drive"\)/);
+});
+
+test("unsure drivability answers get the clarifying question", async (t) => {
+  const answers = ["I'm not sure", "not sure", "I can get it there I think"];
+  for (const [i, answer] of answers.entries()) {
+    await t.test(answer, async () => {
+      const from = `+1617555021${i}`;
+      await textIntake(server.port, from, { until: "drivable" });
+      const reply = await sendText(server.port, from, answer);
+      assert.match(reply, /^Got it — so can the car make it to a shop/);
+    });
+  }
+});
+
+test("negated drivability answers count as needing a tow", async (t) => {
+  const answers = ["No, I can't", "I'm not driving it anywhere"];
+  for (const [i, answer] of answers.entries()) {
+    await t.test(answer, async () => {
+      const from = `+1617555022${i}`;
+      await textIntake(server.port, from, { until: "drivable" });
+      await sendText(server.port, from, answer);
+      await server.waitForLog(new RegExp(`Captured drivability: no_needs_tow \\("${answer}"\\)`));
+    });
+  }
+});
+
+test("urgency that's still unclear is left blank, not guessed", async () => {
+  const from = "+16175550202";
+  await textIntake(server.port, from, { until: "urgency" });
+  await sendText(server.port, from, "hmm");
+  const reply = await sendText(server.port, from, "I'd have to check with my boss");
+  await server.waitForLog(/Urgency still unclear \("I'd have to check with my boss"\) — leaving it blank/);
+  // Moves on to the next question instead of recording a timing
+  assert.match(reply, /drive/i);
+  assert.ok(!server.logs.some((line) => /Captured urgency: .*check with my boss/.test(line)));
+});
@@ -0,0 +1,53 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminGet, sendText, startServer, textIntake } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function leadFrom(from) {
+  const { body } = await adminGet(server.port, "/admin/leads?source=sms");
+  return body.leads.find((lead) => lead.call_sid.startsWith(`sms-${from.slice(1)}-`));
+}
+
+const CARS = [
+  ["a Camry", { car_make: "Toyota", car_model: "Camry", car_year: null }],
+  ["2015 Hondo Accord", { car_make: "Honda", car_model: "Accord", car_year: "2015" }],
+  ["2012 F-150", { car_make: "Ford", car_model: "F-150", car_year: "2012" }],
+  ["Chevy Silverado 1500 2019", { car_make: "Chevrolet", car_model: "Silverado", car_year: "2019" }],
+];
+
+for (const [said, expected] of CARS) {
+  test(`"${said}" is saved as make, model and year`, async () => {
+    const from = `+1617555071${CARS.findIndex(([car]) => car === said)}`;
+    await textIntake(server.port, from, { answers: { car: said } });
+    const lead = await leadFrom(from);
+    assert.deepEqual({ car_make: lead.car_make, car_model: lead.car_model, car_year: lead.car_year }, expected);
+  });
+}
+
+test("a VIN fills in the make and year, and only the model is asked", async () => {
+  const from = "+16175550720";
+  await textIntake(server.port, from, { until: "car" });
+  assert.equal(await sendText(server.port, from, "my VIN is 1HGCM82633A004352"), "And what model is your 2003 Honda?");
+  assert.match(await sendText(server.port, from, "Accord"), /first name\?$/);
+  await textIntake(server.port, from, { startAt: "name" });
+
+  const lead = await leadFrom(from);
+  assert.equal(lead.vin, "1HGCM82633A004352");
+  assert.deepEqual([lead.car_year, lead.car_make, lead.car_model], ["2003", "Honda", "Accord"]);
+});
+
+test("a VIN that fails its check digit is asked for again", async () => {
+  const from = "+16175550721";
+  await textIntake(server.port, from, { until: "car" });
+  assert.match(await sendText(server.port, from, "my VIN is 1HGCM82633A004353"), /^Hmm, that VIN doesn't check out/);
+  assert.equal(await sendText(server.port, from, "skip"), "What's the make and model of your car?");
+});